@@ -0,0 +1,582 @@
+const Channel = require("../Models/channel.model");
+const LoginAttempt = require("../Models/loginAttempt.model");
+const AuditLog = require("../Models/auditLog.model");
+const audit = require("../config/audit");
+const { ROLES } = require("../config/roles");
+const { revokeAllSessions } = require("../config/tokens");
+
+// list channels
+/**
+ * @openapi
+ * /api/admin/channels:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Retrieve a list of channels
+ *     description: Retrieve a list of paginated channels with their roles and suspension state. Admin only.
+ *     parameters:
+ *          - in: query
+ *            name: page
+ *            type: integer
+ *            description: The page to select
+ *            default: 1
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of channels per page
+ *            default: 20
+ *          - in: query
+ *            name: role
+ *            type: string
+ *            description: Only show channels with this role
+ *            example: moderator
+ *          - in: query
+ *            name: suspended
+ *            type: boolean
+ *            description: Only show suspended or active channels
+ *     responses:
+ *       200:
+ *         description: Returns a list of channels.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  page:
+ *                      type: integer
+ *                      description: The current page number
+ *                      example: 1
+ *                  pages:
+ *                      type: integer
+ *                      description: The amount of pages
+ *                      example: 25
+ *                  channels:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              _id:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9ed
+ *                              username:
+ *                                  type: string
+ *                                  example: Diana01
+ *                              email:
+ *                                  type: string
+ *                                  example: Diana01@gmail.com
+ *                              roles:
+ *                                  type: array
+ *                                  items:
+ *                                      type: string
+ *                                      example: user
+ *                              suspended:
+ *                                  type: boolean
+ *                                  example: false
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Insufficient permission
+ *
+ */
+const index = (req, res) => {
+	const perPage = req.query.limit ? Math.min(100, Math.max(1, req.query.limit)) : 20;
+	const page = req.query.page ? Math.max(1, req.query.page) : 1;
+
+	// optional filters
+	const filter = {};
+
+	if (req.query.role) filter.roles = req.query.role;
+	if (req.query.suspended) filter.suspended = req.query.suspended === "true";
+
+	Channel.find(filter)
+		.select("_id username email avatar roles suspended createdAt")
+		.sort({ createdAt: -1 })
+		.limit(perPage)
+		.skip(perPage * (page - 1))
+		.then(async (channels) => {
+			const channelsLength = await Channel.countDocuments(filter);
+
+			res.status(200).json({
+				page: page,
+				pages: Math.ceil(channelsLength / perPage),
+				channels,
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// suspend or unsuspend a channel
+/**
+ * @openapi
+ * /api/admin/channels/{id}/suspend:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Suspend or unsuspend a channel
+ *     description: Suspended channels can't log in and lose access to privileged routes. Suspending also signs the channel out of every session. Admin only.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      suspended:
+ *                          type: boolean
+ *                          required: true
+ *                          description: whether the channel is suspended
+ *                          example: true
+ *     responses:
+ *       200:
+ *         description: Returns the updated channel.
+ *       400:
+ *         description: admins can't suspend themselves
+ *       404:
+ *         description: channel not found
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Channel 653d699d13d7c3d86a91c9ed not found!
+ *
+ */
+const suspend = async (req, res) => {
+	const id = req.params.id;
+	const suspended = String(req.body.suspended) === "true";
+
+	// prevent admins from locking themselves out
+	if (suspended && String(req.channel._id) === id) {
+		return res.status(400).json({
+			message: "You can't suspend your own channel",
+		});
+	}
+
+	try {
+		const channel = await Channel.findByIdAndUpdate(
+			id,
+			{ suspended },
+			{ new: true }
+		).select("_id username email roles suspended");
+
+		if (!channel) {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		// sign out every device of the suspended channel
+		if (suspended) await revokeAllSessions(channel._id);
+
+		return res.status(200).json(channel);
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// reassign the roles of a channel
+/**
+ * @openapi
+ * /api/admin/channels/{id}/roles:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Reassign the roles of a channel
+ *     description: Replace the roles of a channel. Valid roles are user, moderator and admin. Admin only.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      roles:
+ *                          type: string
+ *                          required: true
+ *                          description: comma separated list of roles
+ *                          example: user,moderator
+ *     responses:
+ *       200:
+ *         description: Returns the updated channel.
+ *       400:
+ *         description: invalid roles
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Invalid roles
+ *       404:
+ *         description: channel not found
+ *
+ */
+const updateRoles = async (req, res) => {
+	const id = req.params.id;
+
+	// accept an array, repeated form fields or a comma separated string
+	const roles = [
+		...new Set(
+			[]
+				.concat(req.body.roles || [])
+				.flatMap((role) => String(role).split(","))
+				.map((role) => role.trim())
+				.filter(Boolean)
+		),
+	];
+
+	if (roles.length === 0 || roles.some((role) => !ROLES.includes(role))) {
+		return res.status(400).json({
+			message: "Invalid roles",
+			roles: ROLES,
+		});
+	}
+
+	// prevent admins from removing their own admin role
+	if (String(req.channel._id) === id && !roles.includes("admin")) {
+		return res.status(400).json({
+			message: "You can't remove your own admin role",
+		});
+	}
+
+	try {
+		const channel = await Channel.findByIdAndUpdate(
+			id,
+			{ roles },
+			{ new: true, runValidators: true }
+		).select("_id username email roles suspended");
+
+		if (!channel) {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		return res.status(200).json(channel);
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// list locked emails & IPs
+/**
+ * @openapi
+ * /api/admin/lockouts:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Retrieve active login lockouts
+ *     description: Retrieve the emails and IPs that are currently locked out after too many failed logins. Admin only.
+ *     responses:
+ *       200:
+ *         description: Returns a list of lockouts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                  type: object
+ *                  properties:
+ *                      _id:
+ *                          type: string
+ *                          example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                      type:
+ *                          type: string
+ *                          description: whether an email or an IP is locked
+ *                          example: email
+ *                      value:
+ *                          type: string
+ *                          example: sam.scott@gmail.com
+ *                      channel:
+ *                          type: object
+ *                          description: the channel of a locked email
+ *                      lockedUntil:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-18T07:22:14.036Z
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Insufficient permission
+ *
+ */
+const lockouts = (req, res) => {
+	LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+		.populate({
+			path: "channel",
+			select: "_id username email avatar",
+		})
+		.select("type value channel lockedUntil lastFailedAt")
+		.sort({ lockedUntil: -1 })
+		.then((attempts) => {
+			res.status(200).json(attempts);
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// unlock an email or IP
+/**
+ * @openapi
+ * /api/admin/lockouts/{id}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Lift a login lockout
+ *     description: Lift a lockout by its ObjectID and reset its failed logins. Admin only.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The lockout ObjectID
+ *     responses:
+ *       200:
+ *         description: lockout lifted
+ *       404:
+ *         description: lockout not found
+ *
+ */
+const unlock = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const attempt = await LoginAttempt.findByIdAndDelete(id);
+
+		if (!attempt) {
+			return res.status(404).json({
+				message: `Lockout ${id} not found!`,
+			});
+		}
+
+		await audit("login.unlock", {
+			channel: attempt.channel,
+			actor: req.channel._id,
+			ip: req.ip,
+			details: { type: attempt.type, value: attempt.value },
+		});
+
+		return res.status(200).json({
+			message: `The ${attempt.type} ${attempt.value} has been unlocked`,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Lockout ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// unlock the email of a channel
+/**
+ * @openapi
+ * /api/admin/channels/{id}/lock:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Unlock a channel
+ *     description: Lift the login lockout on a channel's email and reset its failed logins. Admin only.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *     responses:
+ *       200:
+ *         description: channel unlocked
+ *       404:
+ *         description: channel not found
+ *
+ */
+const unlockChannel = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const channel = await Channel.findById(id).select("_id email");
+
+		if (!channel) {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		await LoginAttempt.deleteMany({ type: "email", value: channel.email });
+
+		await audit("login.unlock", {
+			channel: channel._id,
+			actor: req.channel._id,
+			ip: req.ip,
+			details: { type: "email", value: channel.email },
+		});
+
+		return res.status(200).json({
+			message: `Channel ${id} has been unlocked`,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// list audit entries
+/**
+ * @openapi
+ * /api/admin/audit:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - admin
+ *     summary: Retrieve the audit log
+ *     description: Retrieve paginated audit entries, newest first. Admin only.
+ *     parameters:
+ *          - in: query
+ *            name: page
+ *            type: integer
+ *            description: The page to select
+ *            default: 1
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of entries per page
+ *            default: 20
+ *          - in: query
+ *            name: action
+ *            type: string
+ *            description: Only show entries with this action
+ *            example: login.lockout
+ *          - in: query
+ *            name: channel
+ *            type: string
+ *            description: Only show entries about this channel ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns a list of audit entries.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  page:
+ *                      type: integer
+ *                      example: 1
+ *                  pages:
+ *                      type: integer
+ *                      example: 3
+ *                  entries:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              action:
+ *                                  type: string
+ *                                  example: login.lockout
+ *                              channel:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9ed
+ *                              actor:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9ed
+ *                              ip:
+ *                                  type: string
+ *                                  example: 127.0.0.1
+ *                              details:
+ *                                  type: object
+ *                              createdAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  example: 2023-05-18T07:07:14.036Z
+ *
+ */
+const auditLog = (req, res) => {
+	const perPage = req.query.limit ? Math.min(100, Math.max(1, req.query.limit)) : 20;
+	const page = req.query.page ? Math.max(1, req.query.page) : 1;
+
+	const filter = {};
+
+	if (req.query.action) filter.action = String(req.query.action);
+	if (req.query.channel) filter.channel = String(req.query.channel);
+
+	AuditLog.find(filter)
+		.sort({ createdAt: -1 })
+		.limit(perPage)
+		.skip(perPage * (page - 1))
+		.then(async (entries) => {
+			const entriesLength = await AuditLog.countDocuments(filter);
+
+			res.status(200).json({
+				page: page,
+				pages: Math.ceil(entriesLength / perPage),
+				entries,
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				return res.status(400).json({
+					message: "Invalid channel",
+				});
+			}
+
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+module.exports = {
+	index,
+	suspend,
+	updateRoles,
+	lockouts,
+	unlock,
+	unlockChannel,
+	auditLog,
+};
@@ -0,0 +1,255 @@
+const ApiKey = require("../Models/apiKey.model");
+const audit = require("../config/audit");
+const { SCOPES } = require("../config/scopes");
+const { hashToken } = require("../config/tokens");
+const { generateApiKey } = require("../config/apiKeys");
+
+// fields safe to show, the key hash is never returned
+const API_KEY_FIELDS = "_id name prefix scopes lastUsedAt revokedAt createdAt";
+
+// list API keys of the logged in channel
+/**
+ * @openapi
+ * /api/channels/api-keys:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - api-keys
+ *     summary: Retrieve the channel's API keys
+ *     description: Retrieve the API keys of the logged in channel, including revoked ones. The keys themselves are never shown again after they're created.
+ *     responses:
+ *       200:
+ *         description: Returns a list of API keys.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                  type: object
+ *                  properties:
+ *                      _id:
+ *                          type: string
+ *                          example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                      name:
+ *                          type: string
+ *                          example: upload bot
+ *                      prefix:
+ *                          type: string
+ *                          description: start of the key
+ *                          example: ytk_3f9a
+ *                      scopes:
+ *                          type: array
+ *                          items:
+ *                              type: string
+ *                              example: videos:write
+ *                      lastUsedAt:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-18T07:07:14.036Z
+ *                      revokedAt:
+ *                          type: string
+ *                          format: date
+ *                          example: null
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const index = (req, res) => {
+	ApiKey.find({ channel: req.channel._id })
+		.select(API_KEY_FIELDS)
+		.sort({ createdAt: -1 })
+		.then((apiKeys) => {
+			res.status(200).json(apiKeys);
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// create an API key
+/**
+ * @openapi
+ * /api/channels/api-keys:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - api-keys
+ *     summary: Create an API key
+ *     description: Create a named API key with scopes. Send it as 'Authorization ApiKey {key}'. The key is only returned once.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      name:
+ *                          type: string
+ *                          required: true
+ *                          description: a name to recognise the key by
+ *                          example: upload bot
+ *                      scopes:
+ *                          type: string
+ *                          required: true
+ *                          description: comma separated list of channels:read, channels:write, videos:read, videos:write, comments:write, playlists:read, playlists:write
+ *                          example: videos:write,comments:write
+ *     responses:
+ *       201:
+ *         description: Returns the created API key along with the key itself.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                  name:
+ *                      type: string
+ *                      example: upload bot
+ *                  key:
+ *                      type: string
+ *                      example: ytk_3f9a0c5e8d7b6a5f4e3d2c1b0a9f8e7d6c5b4a3f2e1d0c9b8a7f6e5d4c3b2a1f
+ *                  scopes:
+ *                      type: array
+ *                      items:
+ *                          type: string
+ *                          example: videos:write
+ *       401:
+ *         description: Unauthorised channel
+ *       422:
+ *         description: missing name or invalid scopes
+ *
+ */
+const create = async (req, res) => {
+	// accept an array, repeated form fields or a comma separated string
+	const scopes = [
+		...new Set(
+			[]
+				.concat(req.body.scopes || [])
+				.flatMap((scope) => String(scope).split(","))
+				.map((scope) => scope.trim())
+				.filter(Boolean)
+		),
+	];
+
+	if (!req.body.name || scopes.length === 0 || scopes.some((scope) => !SCOPES.includes(scope))) {
+		return res.status(422).json({
+			message: "A name and at least one valid scope are required",
+			scopes: SCOPES,
+		});
+	}
+
+	const key = generateApiKey();
+
+	try {
+		const apiKey = await ApiKey.create({
+			channel: req.channel._id,
+			name: req.body.name,
+			prefix: key.slice(0, 8),
+			key: hashToken(key),
+			scopes,
+		});
+
+		await audit("api_key.created", {
+			channel: req.channel._id,
+			actor: req.channel._id,
+			ip: req.ip,
+			details: { apiKey: apiKey._id, scopes },
+		});
+
+		return res.status(201).json({
+			_id: apiKey._id,
+			name: apiKey.name,
+			prefix: apiKey.prefix,
+			scopes: apiKey.scopes,
+			createdAt: apiKey.createdAt,
+			key,
+		});
+	} catch (err) {
+		if (err.name === "ValidationError") {
+			return res.status(422).json({
+				errors: err.errors,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// revoke an API key
+/**
+ * @openapi
+ * /api/channels/api-keys/{id}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - api-keys
+ *     summary: Revoke an API key
+ *     description: Revoke one of the logged in channel's API keys. It stops working straight away.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The API key ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns the revoked API key.
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: API key 6564a2f1c3b2a1f0e9d8c7b6 not found!
+ *
+ */
+const destroy = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const apiKey = await ApiKey.findOneAndUpdate(
+			{ _id: id, channel: req.channel._id, revokedAt: null },
+			{ revokedAt: new Date() },
+			{ new: true }
+		).select(API_KEY_FIELDS);
+
+		if (!apiKey) {
+			return res.status(404).json({
+				message: `API key ${id} not found!`,
+			});
+		}
+
+		await audit("api_key.revoked", {
+			channel: req.channel._id,
+			actor: req.channel._id,
+			ip: req.ip,
+			details: { apiKey: apiKey._id },
+		});
+
+		return res.status(200).json(apiKey);
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `API key ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+module.exports = {
+	index,
+	create,
+	destroy,
+};
@@ -2,11 +2,103 @@ const Channel = require("../Models/channel.model");
 const Video = require("../Models/video.model");
 const { destroy: deleteVideo } = require("../Controllers/video.controller");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const {
+	clientInfo,
+	startSession,
+	signChallengeToken,
+	rotateRefreshToken,
+	revokeRefreshToken,
+	revokeSession,
+	revokeAllSessions,
+	revokeAccessToken,
+	createChannelToken,
+	consumeChannelToken,
+} = require("../config/tokens");
+const { sendMail } = require("../config/mailer");
+const {
+	reserveLoginAttempt,
+	releaseLoginAttempt,
+	recordLoginFailure,
+	clearLoginFailures,
+} = require("../config/loginThrottle");
 const Comment = require("../Models/comment.model");
+const WatchProgress = require("../Models/watchProgress.model");
+const WatchHistory = require("../Models/watchHistory.model");
+const PendingView = require("../Models/pendingView.model");
+const Playlist = require("../Models/playlist.model");
+const PlaylistInvite = require("../Models/playlistInvite.model");
+const Subscription = require("../Models/subscription.model");
+const Notification = require("../Models/notification.model");
+const {
+	toggleSubscription,
+	isSubscribed,
+	subscribedChannelIds,
+	removeChannelSubscriptions,
+} = require("../config/subscriptions");
+const { notify } = require("../config/notifications");
+const { channelPlaylists } = require("./playlist.controller");
 require("dotenv").config();
 const deleteImage = require("../config/ImageDelete");
+const { hasPermission } = require("../config/roles");
 const { ObjectId } = require("mongodb");
+const { SORTS, parseVideoQuery } = require("../config/videoFilters");
+const { parseLimit, paginateByCursor } = require("../config/pagination");
+
+// fields register & update ignore
+// privileged ones are set by admins & verification, derived ones by their own endpoints
+// & settings by the endpoint that keeps related data in step, e.g. /me/privacy
+const PROTECTED_FIELDS = [
+	"roles",
+	"suspended",
+	"emailVerified",
+	"twoFactor",
+	"subscribers",
+	"videos",
+	"liked",
+	"disliked",
+	"comment_liked",
+	"comment_disliked",
+	"hideSubscriptions",
+	"historyPaused",
+];
+
+// the fields of a request body a channel may set on itself
+const channelForm = (body) =>
+	Object.fromEntries(
+		Object.entries(body || {}).filter(([field]) => !PROTECTED_FIELDS.includes(field))
+	);
+
+// mail a verification token to a channel
+const sendVerificationMail = async (channel) => {
+	const token = await createChannelToken(
+		channel,
+		"email_verification",
+		Number(process.env.EMAIL_VERIFICATION_MINUTES) || 60 * 24
+	);
+	const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+	return sendMail({
+		to: channel.email,
+		subject: "Verify your email",
+		text: `Hi ${channel.username},\n\nUse the link below to verify your email. You can upload videos and comment once it's verified.\n\n${appUrl}/api/channels/verify/${token}`,
+	});
+};
+
+// mail a password reset token to a channel
+const sendPasswordResetMail = async (channel) => {
+	const token = await createChannelToken(
+		channel,
+		"password_reset",
+		Number(process.env.PASSWORD_RESET_MINUTES) || 60
+	);
+	const appUrl = process.env.APP_URL || "http://localhost:3000";
+
+	return sendMail({
+		to: channel.email,
+		subject: "Reset your password",
+		text: `Hi ${channel.username},\n\nUse the link below to reset your password. It can only be used once and expires soon.\n\n${appUrl}/reset-password?token=${token}\n\nIf you didn't request this, you can ignore this email.`,
+	});
+};
 
 // register new channel
 /**
@@ -70,6 +162,10 @@ const { ObjectId } = require("mongodb");
  *                      type: integer
  *                      description: channel's subscriber amount
  *                      example: 0
+ *                  emailVerified:
+ *                      type: boolean
+ *                      description: whether the channel verified its email, a verification link is mailed on register
+ *                      example: false
  *                  videos:
  *                      type: array
  *                      description: list of video ObjectID
@@ -97,8 +193,12 @@ const { ObjectId } = require("mongodb");
  *
  */
 const register = (req, res) => {
+	// remove privileged & derived data from form
+	const form = channelForm(req.body);
+
 	// create a channel instance from request body
-	const newChannel = new Channel(req.body);
+	const newChannel = new Channel(form);
+	newChannel.emailVerified = false;
 
 	// encrypt password
 	newChannel.password = bcrypt.hashSync(req.body.password, 10);
@@ -126,7 +226,11 @@ const register = (req, res) => {
 	// save channel
 	newChannel
 		.save()
-		.then((channel) => {
+		.then(async (channel) => {
+			// a failed mail shouldn't fail the registration
+			// the channel can ask for a new one from /verify/resend
+			await sendVerificationMail(channel).catch((err) => console.error(err));
+
 			channel.password = undefined;
 			return res.status(201).json(channel);
 		})
@@ -165,224 +269,1363 @@ const register = (req, res) => {
  *                          example: secret0123
  *     responses:
  *       200:
- *         description: Returns the channel with the matching credential with its access token.
+ *         description: Returns the channel with the matching credential with its access token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      description: The channel objectID.
+ *                      example: 653d699d13d7c3d86a91c9ed
+ *                  username:
+ *                      type: string
+ *                      description: channel's username.
+ *                      example: Diana01
+ *                  avatar:
+ *                      type: string
+ *                      description: channel's avatar url
+ *                      example: https://avatars.githubusercontent.com/u/16180050
+ *                  token:
+ *                      type: string
+ *                      description: channel's access token, expires after 15 minutes by default
+ *                      example: token
+ *                  refreshToken:
+ *                      type: string
+ *                      description: single-use token to get a new access token from /api/channels/refresh
+ *                      example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *                  twoFactorRequired:
+ *                      type: boolean
+ *                      description: only set when the channel has 2FA enabled, no tokens are returned and the challengeToken has to be sent to /api/channels/2fa/verify with a code
+ *                      example: true
+ *                  challengeToken:
+ *                      type: string
+ *                      description: token valid for 5 minutes to complete a 2FA login
+ *                      example: token
+ *
+ *       401:
+ *         description: authentication failed
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: array
+ *                          items:
+ *                              example: Authentication failed. Invalid channel or password
+ *
+ *       403:
+ *         description: channel is suspended
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      msg:
+ *                          type: string
+ *                          example: Channel is suspended
+ *
+ *       429:
+ *         description: too many failed logins for this email or IP, retry after the given seconds
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      msg:
+ *                          type: string
+ *                          example: Too many failed logins. Try again later
+ *                      retryAfter:
+ *                          type: integer
+ *                          example: 4
+ *
+ *       500:
+ *         description: Internal error
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      errors:
+ *                          type: array
+ *                          items:
+ *                              example: errors
+ *
+ */
+const login = async (req, res) => {
+	// store login credential
+	const credential = req.body;
+	const attempt = { email: credential.email, ip: req.ip };
+
+	try {
+		// slow down repeated failures & reject locked emails or IPs
+		// the attempt counts as failed until the password turns out correct
+		const { allowed, locked, retryAfter } = await reserveLoginAttempt(attempt);
+
+		if (!allowed) {
+			res.set("Retry-After", String(retryAfter));
+
+			return res.status(429).json({
+				msg: locked
+					? "Too many failed logins. Account temporarily locked"
+					: "Too many failed logins. Try again later",
+				retryAfter,
+			});
+		}
+
+		// find channel by email
+		const channel = await Channel.findOne({ email: credential.email });
+
+		// if channel doesn't exist or password is incorrect
+		// return auth failed
+		if (
+			!channel ||
+			!credential.password ||
+			!channel.comparePassword(credential.password)
+		) {
+			await recordLoginFailure({ ...attempt, channel });
+
+			return res.status(401).json({
+				msg: "Authentication failed. Invalid channel or password",
+			});
+		}
+
+		await releaseLoginAttempt(attempt);
+
+		// suspended channels can't log in
+		if (channel.suspended) {
+			return res.status(403).json({
+				msg: "Channel is suspended",
+			});
+		}
+
+		// channels with 2FA have to exchange a code for the tokens
+		// failed logins are only cleared once the code is correct too
+		if (channel.twoFactor?.enabled) {
+			return res.status(200).json({
+				_id: channel._id,
+				twoFactorRequired: true,
+				challengeToken: signChallengeToken(channel),
+			});
+		}
+
+		await clearLoginFailures(channel.email);
+
+		// upon success, return access & refresh token
+		const { token, refreshToken } = await startSession(channel, clientInfo(req));
+
+		return res.status(200).json({
+			_id: channel._id,
+			username: channel.username,
+			avatar: channel.avatar,
+			token,
+			refreshToken,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// refresh access token
+/**
+ * @openapi
+ * /api/channels/refresh:
+ *   post:
+ *     tags:
+ *      - channels
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and refresh token. Each refresh token can only be used once, reusing one revokes every token issued from the same login.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      refreshToken:
+ *                          type: string
+ *                          required: true
+ *                          description: the refresh token returned by login or a previous refresh
+ *     responses:
+ *       200:
+ *         description: Returns a new token pair.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      description: The channel objectID.
+ *                      example: 653d699d13d7c3d86a91c9ed
+ *                  token:
+ *                      type: string
+ *                      description: channel's new access token
+ *                      example: token
+ *                  refreshToken:
+ *                      type: string
+ *                      description: channel's new refresh token
+ *                      example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *
+ *       401:
+ *         description: refresh token is invalid, expired or revoked
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Invalid refresh token
+ *
+ */
+const refresh = (req, res) => {
+	const refreshToken = req.body.refreshToken;
+
+	if (!refreshToken) {
+		return res.status(401).json({
+			message: "Invalid refresh token",
+		});
+	}
+
+	rotateRefreshToken(refreshToken, clientInfo(req))
+		.then((tokens) => {
+			if (!tokens || tokens.channel.suspended) {
+				return res.status(401).json({
+					message: "Invalid refresh token",
+				});
+			}
+
+			return res.status(200).json({
+				_id: tokens.channel._id,
+				token: tokens.token,
+				refreshToken: tokens.refreshToken,
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// logout function
+/**
+ * @openapi
+ * /api/channels/logout:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Log out of channel
+ *     description: End the session the access token belongs to, revoking its refresh tokens. Set 'all' to end every session of the channel and sign out all devices.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      refreshToken:
+ *                          type: string
+ *                          description: the refresh token to revoke, only needed for tokens issued before sessions were recorded
+ *                      all:
+ *                          type: boolean
+ *                          description: end every session of the channel
+ *                          example: false
+ *     responses:
+ *       200:
+ *         description: channel logged out
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: You have been logged out
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const logout = async (req, res) => {
+	const { refreshToken, all } = req.body;
+
+	try {
+		// revoke access token used for this request
+		await revokeAccessToken(req.channel);
+
+		// end the session so its refresh tokens stop working too
+		if (String(all) === "true") {
+			await revokeAllSessions(req.channel._id);
+		} else if (req.channel.sid) {
+			await revokeSession(req.channel._id, req.channel.sid);
+		} else if (refreshToken) {
+			await revokeRefreshToken(req.channel._id, refreshToken);
+		}
+
+		return res.status(200).json({
+			message: "You have been logged out",
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// request a password reset
+/**
+ * @openapi
+ * /api/channels/password/forgot:
+ *   post:
+ *     tags:
+ *      - channels
+ *     summary: Request a password reset
+ *     description: Mail a single-use password reset token to the channel's email. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      email:
+ *                          type: string
+ *                          required: true
+ *                          description: the email of the channel
+ *                          example: sam.scott@gmail.com
+ *     responses:
+ *       200:
+ *         description: reset requested
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: If the email is registered, a password reset link has been sent
+ *       422:
+ *         description: email missing
+ *
+ */
+const forgotPassword = async (req, res) => {
+	const email = req.body.email;
+
+	if (!email) {
+		return res.status(422).json({
+			message: "Email is required",
+		});
+	}
+
+	try {
+		const channel = await Channel.findOne({
+			email: String(email).trim().toLowerCase(),
+		});
+
+		// only send mail to registered channels
+		// but don't reveal which emails are registered, the mail isn't waited for
+		// so the response takes as long & is the same whether it's sent or fails
+		if (channel) {
+			sendPasswordResetMail(channel).catch((err) => console.error(err));
+		}
+
+		return res.status(200).json({
+			message: "If the email is registered, a password reset link has been sent",
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// reset password with a token from forgotPassword
+/**
+ * @openapi
+ * /api/channels/password/reset:
+ *   post:
+ *     tags:
+ *      - channels
+ *     summary: Reset password
+ *     description: Set a new password using a password reset token. The token can only be used once and every existing login of the channel is signed out.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      token:
+ *                          type: string
+ *                          required: true
+ *                          description: the token from the password reset email
+ *                      password:
+ *                          type: string
+ *                          required: true
+ *                          description: the new password
+ *                          format: password
+ *                          example: secret0123
+ *     responses:
+ *       200:
+ *         description: password reset
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Your password has been reset
+ *       400:
+ *         description: token is invalid, expired or already used
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Invalid or expired reset token
+ *       422:
+ *         description: token or password missing
+ *
+ */
+const resetPassword = async (req, res) => {
+	const { token, password } = req.body;
+
+	if (!token || !password) {
+		return res.status(422).json({
+			message: "Token and password are required",
+		});
+	}
+
+	try {
+		const resetToken = await consumeChannelToken(token, "password_reset");
+
+		if (!resetToken) {
+			return res.status(400).json({
+				message: "Invalid or expired reset token",
+			});
+		}
+
+		const channel = await Channel.findByIdAndUpdate(resetToken.channel, {
+			password: bcrypt.hashSync(password, 10),
+		});
+
+		if (!channel) {
+			return res.status(400).json({
+				message: "Invalid or expired reset token",
+			});
+		}
+
+		// sign out every device using the old password
+		// and lift any lockout since the owner proved access to the email
+		await revokeAllSessions(channel._id);
+		await clearLoginFailures(channel.email);
+
+		return res.status(200).json({
+			message: "Your password has been reset",
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// verify email with a token from the verification mail
+/**
+ * @openapi
+ * /api/channels/verify/{token}:
+ *   get:
+ *     tags:
+ *      - channels
+ *     summary: Verify email
+ *     description: Verify the email of a channel using the token mailed on register. Unverified channels can't upload videos or comment.
+ *     parameters:
+ *          - in: path
+ *            name: token
+ *            type: string
+ *            description: The verification token
+ *     responses:
+ *       200:
+ *         description: email verified
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Your email has been verified
+ *       400:
+ *         description: token is invalid, expired or already used
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Invalid or expired verification token
+ *
+ */
+const verifyEmail = async (req, res) => {
+	try {
+		const verificationToken = await consumeChannelToken(
+			req.params.token,
+			"email_verification"
+		);
+
+		if (!verificationToken) {
+			return res.status(400).json({
+				message: "Invalid or expired verification token",
+			});
+		}
+
+		await Channel.findByIdAndUpdate(verificationToken.channel, {
+			emailVerified: true,
+		});
+
+		return res.status(200).json({
+			message: "Your email has been verified",
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// send a new verification mail
+/**
+ * @openapi
+ * /api/channels/verify/resend:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Resend verification email
+ *     description: Mail a new verification token to the logged in channel. Previous tokens stop working.
+ *     responses:
+ *       200:
+ *         description: verification mail sent
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: A verification link has been sent
+ *       400:
+ *         description: email already verified
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const resendVerification = async (req, res) => {
+	try {
+		const channel = await Channel.findById(req.channel._id);
+
+		if (!channel) {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
+
+		if (channel.emailVerified !== false) {
+			return res.status(400).json({
+				message: "Your email is already verified",
+			});
+		}
+
+		await sendVerificationMail(channel);
+
+		return res.status(200).json({
+			message: "A verification link has been sent",
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// verified email middleware, use after auth("required-auth")
+// channels registered before verification existed have no emailVerified & pass
+const verifiedRequired = (req, res, next) => {
+	Channel.exists({ _id: req.channel._id, emailVerified: false })
+		.then((unverified) => {
+			if (unverified) {
+				return res.status(403).json({
+					message: "Please verify your email first!",
+				});
+			}
+
+			return next();
+		})
+		.catch((err) => {
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// permission middleware, use after auth("required-auth")
+// roles are read from the DB so role changes & suspensions apply straight away
+const permissionRequired = (permission) => (req, res, next) => {
+	Channel.findById(req.channel._id)
+		.select("roles suspended")
+		.then((channel) => {
+			if (!channel || channel.suspended) {
+				return res.status(403).json({ msg: "Channel is suspended!" });
+			}
+
+			// make roles available to the actual route
+			req.channel.roles = channel.roles;
+
+			if (!hasPermission(channel.roles, permission)) {
+				return res.status(403).json({ msg: "Insufficient permission!" });
+			}
+
+			return next();
+		})
+		.catch((err) => {
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// ownership middleware, use after auth("required-auth") on routes with an :id param
+// only the channel that owns the resource can continue
+// unless its roles grant the override permission
+const ownershipRequired = (Model, ownerField, permission) => (req, res, next) => {
+	const id = req.params.id;
+	const name = Model.modelName.toLowerCase();
+
+	Model.findById(id)
+		.select(ownerField)
+		.then(async (resource) => {
+			if (!resource) {
+				return res.status(404).json({
+					message: `${Model.modelName} ${id} not found!`,
+				});
+			}
+
+			if (String(resource[ownerField]) === String(req.channel._id)) {
+				return next();
+			}
+
+			// not the owner, check for a privileged role
+			const channel = await Channel.findById(req.channel._id).select(
+				"roles suspended"
+			);
+
+			if (channel && !channel.suspended && hasPermission(channel.roles, permission)) {
+				req.channel.roles = channel.roles;
+
+				return next();
+			}
+
+			return res.status(403).json({
+				message: `You don't have permission to modify this ${name}!`,
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				return res.status(404).json({
+					message: `${Model.modelName} ${id} not found!`,
+				});
+			}
+
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// show channel by id
+/**
+ * @openapi
+ * /api/channels/{id}:
+ *   get:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Retrieve the channel with a specific ObjectID
+ *     description: Retrieve the channel with a specific ObjectID. When a bearer token is sent, the response includes whether the viewer is subscribed.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *            default: 653c303970f555b2245cf569
+ *     responses:
+ *       200:
+ *         description: Returns the channel with the same ObjectID.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      description: The channel objectID.
+ *                      example: 653d699d13d7c3d86a91c9ed
+ *                  username:
+ *                      type: string
+ *                      description: channel's username.
+ *                      example: Diana01
+ *                  email:
+ *                      type: string
+ *                      description: channel's email address.
+ *                      example: Diana01@gmail.com
+ *                  avatar:
+ *                      type: string
+ *                      description: channel's avatar url
+ *                      example: https://avatars.githubusercontent.com/u/16180050
+ *                  subscriber:
+ *                      type: integer
+ *                      description: channel's subscriber amount
+ *                      example: 0
+ *                  videos:
+ *                      type: array
+ *                      description: list of video ObjectID
+ *                  createdAt:
+ *                      type: string
+ *                      format: date
+ *                      description: the date the comment is created
+ *                      example: 2023-05-18T07:07:14.036Z
+ *                  updatedAt:
+ *                      type: string
+ *                      format: date
+ *                      description: the date the comment is updated
+ *                      example: 2023-05-18T07:07:14.036Z
+ *                  playlists:
+ *                      type: array
+ *                      description: the channel's public playlists, the channel itself also sees its unlisted & private ones
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              _id:
+ *                                  type: string
+ *                                  example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                              title:
+ *                                  type: string
+ *                                  example: Pasta recipes
+ *                              visibility:
+ *                                  type: string
+ *                                  example: public
+ *                              videoCount:
+ *                                  type: integer
+ *                                  example: 12
+ *                              updatedAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  example: 2023-05-18T07:07:14.036Z
+ *                  viewer:
+ *                      type: object
+ *                      description: only included when a valid bearer token is sent
+ *                      properties:
+ *                          subscribed:
+ *                              type: boolean
+ *                              example: true
+ *       404:
+ *         description: No channels found.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      msg:
+ *                          type: string
+ *                          description: returned message.
+ *                          example: channel not found
+ *
+ *       500:
+ *         description: Internal error
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      errors:
+ *                          type: array
+ *                          items:
+ *                              example: errors
+ *
+ */
+const show = (req, res) => {
+	// find channel by id and show all videos
+	Channel.findOne({ _id: req.params.id })
+		.populate([
+			{
+				path: "videos",
+				select: "_id title url tag thumbnail duration createdAt updatedAt views",
+			},
+		])
+		// likes & dislikes are private, liked videos is a private playlist
+		// as are the account's security & moderation state
+		// twoFactor.enabled, not twoFactor, as its other fields are already excluded by the schema
+		.select(
+			"-password -__v -email -liked -disliked -comment_liked -comment_disliked -twoFactor.enabled -suspended -emailVerified"
+		)
+		.then(async (channel) => {
+			if (!channel) {
+				return res.status(404).json({
+					message: "Channel does not exist!",
+				});
+			}
+
+			channel.password = undefined;
+
+			// the owner also sees unlisted & private playlists
+			const playlists = await channelPlaylists(channel._id, req.channel);
+
+			// personalise response for a logged in viewer
+			if (req.channel) {
+				return res.status(200).json({
+					...channel.toJSON(),
+					playlists,
+					viewer: {
+						subscribed: await isSubscribed(req.channel._id, channel._id),
+					},
+				});
+			}
+
+			return res.status(200).json({
+				...channel.toJSON(),
+				playlists,
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				return res.status(404).json({
+					message: "Channel does not exist!",
+				});
+			}
+
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// List a channel's videos
+/**
+ * @openapi
+ * /api/channels/{id}/videos:
+ *   get:
+ *     tags:
+ *      - channels
+ *     summary: Retrieve the videos of a channel
+ *     description: Retrieve a cursor paginated list of the channel's videos, newest first unless another sort is given. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'. Accepts the same filters as /api/videos, except 'channel'.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *            default: 653c303970f555b2245cf569
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of videos per page
+ *            default: 8
+ *          - in: query
+ *            name: sort
+ *            type: string
+ *            enum: [newest, oldest, most_viewed, most_liked, longest]
+ *            default: newest
+ *     responses:
+ *       200:
+ *         description: Returns a page of the channel's videos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  videos:
+ *                      type: array
+ *                      description: list of videos
+ *       400:
+ *         description: Invalid query parameters or cursor.
+ *       404:
+ *         description: Channel does not exist.
+ *       500:
+ *         description: Internal error
+ *
+ */
+const videos = async (req, res) => {
+	const id = req.params.id;
+	const { channel, ...query } = req.query;
+	const { errors, filter, sort } = parseVideoQuery(query, ["limit", "cursor"]);
+
+	if (channel !== undefined) {
+		errors.push("Unknown query parameter 'channel'");
+	}
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			message: "Invalid query parameters",
+			errors,
+		});
+	}
+
+	try {
+		if (!(await Channel.exists({ _id: id }))) {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
+
+		const { items, next, prev } = await paginateByCursor(
+			Video.find({ ...filter, channel: id })
+				.populate({
+					path: "channel",
+					select: "_id username subscriber avatar",
+				})
+				.select("-__v -comments"),
+			{
+				sort: query.sort ? sort : SORTS.newest,
+				limit: parseLimit(req.query.limit, 8),
+				cursor: req.query.cursor,
+			}
+		);
+
+		return res.status(200).json({
+			next,
+			prev,
+			videos: items,
+		});
+	} catch (err) {
+		if (err.name === "CursorError") {
+			return res.status(400).json({
+				message: err.message,
+			});
+		}
+
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Subscription feed of the logged in channel
+/**
+ * @openapi
+ * /api/channels/me/feed:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Retrieve the subscription feed
+ *     description: Retrieve the latest videos of the channels the logged in channel is subscribed to, newest first. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'.
+ *     parameters:
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of videos per page
+ *            default: 8
+ *     responses:
+ *       200:
+ *         description: Returns a page of the feed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  videos:
+ *                      type: array
+ *                      description: list of videos, with their channel
+ *       400:
+ *         description: Invalid cursor.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const feed = async (req, res) => {
+	try {
+		const subscribed = await subscribedChannelIds(req.channel._id);
+
+		// merges the newest uploads of each channel using the channel & createdAt index
+		const { items, next, prev } = await paginateByCursor(
+			Video.find({ channel: { $in: subscribed } })
+				.populate({
+					path: "channel",
+					select: "_id username subscriber avatar",
+				})
+				.select("-__v -comments"),
+			{
+				sort: SORTS.newest,
+				limit: parseLimit(req.query.limit, 8),
+				cursor: req.query.cursor,
+			}
+		);
+
+		return res.status(200).json({
+			next,
+			prev,
+			videos: items,
+		});
+	} catch (err) {
+		if (err.name === "CursorError") {
+			return res.status(400).json({
+				message: err.message,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Check if subscribed to a channel
+/**
+ * @openapi
+ * /api/channels/{id}/subscribed:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Check if subscribed to a channel
+ *     description: Check if the logged in channel is subscribed to the channel with a specific ObjectID.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *            default: 653c303970f555b2245cf569
+ *     responses:
+ *       200:
+ *         description: Returns whether the logged in channel is subscribed.
  *         content:
  *           application/json:
  *             schema:
  *              type: object
  *              properties:
- *                  _id:
- *                      type: string
- *                      description: The channel objectID.
- *                      example: 653d699d13d7c3d86a91c9ed
- *                  username:
- *                      type: string
- *                      description: channel's username.
- *                      example: Diana01
- *                  avatar:
- *                      type: string
- *                      description: channel's avatar url
- *                      example: https://avatars.githubusercontent.com/u/16180050
- *                  token:
- *                      type: string
- *                      description: channel's access token
- *                      example: token
- *
+ *                  subscribed:
+ *                      type: boolean
+ *                      example: true
  *       401:
- *         description: authentication failed
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      message:
- *                          type: array
- *                          items:
- *                              example: Authentication failed. Invalid channel or password
- *
+ *         description: Unauthorised channel
  *       404:
- *         description: video not found
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      message:
- *                          type: array
- *                          items:
- *                              example: The channel not found
+ *         description: No channels found.
  *
  */
-const login = (req, res) => {
-	// store login credential
-	const credential = req.body;
+const subscribed = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		if (!(await Channel.exists({ _id: id }))) {
+			return res.status(404).json({
+				message: `Channel with ID ${id} doesn't exist!`,
+			});
+		}
 
-	console.log(req);
+		return res.status(200).json({
+			subscribed: await isSubscribed(req.channel._id, id),
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel with ID ${id} doesn't exist!`,
+			});
+		}
 
-	// find channel by email
-	Channel.findOne({ email: credential.email })
-		.then((channel) => {
-			// if channel doesn't exist or password is incorrect
-			// return auth failed
-			if (
-				!channel ||
-				!credential.password ||
-				!channel.comparePassword(credential.password)
-			) {
-				return res.status(401).json({
-					msg: "Authentication failed. Invalid channel or password",
-				});
-			}
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
 
-			// upon success, return token
-			let token = jwt.sign(
-				{
-					email: channel.email,
-					username: channel.username,
-					_id: channel._id,
-				},
-				process.env.JWT_SECRET
-			);
+// respond with a cursor page of subscriptions as channel cards
+// side is the subscription field holding the channels to list
+const sendChannelPage = (req, res, filter, side) => {
+	const query = Subscription.find(filter).populate({
+		path: side,
+		select: "_id username subscribers avatar",
+	});
 
-			return res.status(200).json({
-				_id: channel._id,
-				username: channel.username,
-				avatar: channel.avatar,
-				token,
+	return paginateByCursor(query, {
+		sort: { _id: 1 },
+		limit: parseLimit(req.query.limit),
+		cursor: req.query.cursor,
+	})
+		.then(({ items, next, prev }) => {
+			res.status(200).json({
+				next,
+				prev,
+				channels: items
+					.filter((subscription) => subscription[side])
+					.map((subscription) => ({
+						...subscription[side].toJSON(),
+						subscribedAt: subscription.createdAt,
+					})),
 			});
 		})
 		.catch((err) => {
+			if (err.name === "CursorError") {
+				return res.status(400).json({
+					message: err.message,
+				});
+			}
+
 			console.error(err);
-			return res.status(404).json(err);
+			res.status(500).json(err);
 		});
 };
 
-// login middleware
-const loginRequired = (req, res, next) => {
-	// console.log(req.channel)
-	if (req.channel) return next();
-
-	return res.status(401).json({ msg: "Unauthorised channel!" });
-};
-
-// show channel by id
+// List the subscribers of a channel
 /**
  * @openapi
- * /api/channels/{id}:
+ * /api/channels/{id}/subscribers:
  *   get:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
  *     tags:
  *      - channels
- *     summary: Retrieve the channel with a specific ObjectID
- *     description: Retrieve the channel with a specific ObjectID.
+ *     summary: Retrieve the subscribers of a channel
+ *     description: Retrieve the channels subscribed to the channel with a specific ObjectID, in the order they subscribed. Channels that hide their subscriptions are left out, except for themselves. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'.
  *     parameters:
  *          - in: path
  *            name: id
  *            type: string
  *            description: The channel ObjectID
  *            default: 653c303970f555b2245cf569
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of channels per page
+ *            default: 10
  *     responses:
  *       200:
- *         description: Returns the channel with the same ObjectID.
+ *         description: Returns a page of channels.
  *         content:
  *           application/json:
  *             schema:
- *              type: object
- *              properties:
- *                  _id:
- *                      type: string
- *                      description: The channel objectID.
- *                      example: 653d699d13d7c3d86a91c9ed
- *                  username:
- *                      type: string
- *                      description: channel's username.
- *                      example: Diana01
- *                  email:
+ *               type: object
+ *               properties:
+ *                  next:
  *                      type: string
- *                      description: channel's email address.
- *                      example: Diana01@gmail.com
- *                  avatar:
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
  *                      type: string
- *                      description: channel's avatar url
- *                      example: https://avatars.githubusercontent.com/u/16180050
- *                  subscriber:
- *                      type: integer
- *                      description: channel's subscriber amount
- *                      example: 0
- *                  videos:
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  channels:
  *                      type: array
- *                      description: list of video ObjectID
- *                  createdAt:
- *                      type: string
- *                      format: date
- *                      description: the date the comment is created
- *                      example: 2023-05-18T07:07:14.036Z
- *                  updatedAt:
- *                      type: string
- *                      format: date
- *                      description: the date the comment is updated
- *                      example: 2023-05-18T07:07:14.036Z
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              _id:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9f1
+ *                              username:
+ *                                  type: string
+ *                                  example: Diana01
+ *                              avatar:
+ *                                  type: string
+ *                                  example: https://avatars.githubusercontent.com/u/16180050
+ *                              subscribedAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  example: 2023-05-18T07:07:14.036Z
+ *       400:
+ *         description: Invalid cursor.
  *       404:
  *         description: No channels found.
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      msg:
- *                          type: string
- *                          description: returned message.
- *                          example: channel not found
- *
- *       500:
- *         description: Internal error
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      errors:
- *                          type: array
- *                          items:
- *                              example: errors
  *
  */
-const show = (req, res) => {
-	// find channel by id and show all videos
-	Channel.findOne({ _id: req.params.id })
-		.populate([
-			{
-				path: "videos",
-				select: "_id title url tag thumbnail duration createdAt updatedAt views",
-			},
-		])
-		.select("-password -__v -email")
-		.then((channel) => {
-			if (!channel) {
-				return res.status(404).json({
-					message: "Channel does not exist!",
-				});
-			}
+const subscribers = async (req, res) => {
+	const id = req.params.id;
 
-			channel.password = undefined;
+	try {
+		if (!(await Channel.exists({ _id: id }))) {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
 
-			return res.status(200).json(channel);
-		});
+		console.error(err);
+		return res.status(500).json(err);
+	}
+
+	// channels that hide their subscriptions only see themselves in the list
+	const visible = req.channel
+		? { $or: [{ hidden: { $ne: true } }, { subscriber: req.channel._id }] }
+		: { hidden: { $ne: true } };
+
+	return sendChannelPage(req, res, { channel: id, ...visible }, "subscriber");
 };
 
-const subscribed = async (req, res) => {
+// List the subscriptions of a channel
+/**
+ * @openapi
+ * /api/channels/{id}/subscriptions:
+ *   get:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Retrieve the subscriptions of a channel
+ *     description: Retrieve the channels the channel with a specific ObjectID is subscribed to, in the order it subscribed. A channel can hide its subscriptions, then only the channel itself can see them. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The channel ObjectID
+ *            default: 653c303970f555b2245cf569
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of channels per page
+ *            default: 10
+ *     responses:
+ *       200:
+ *         description: Returns a page of channels, in the same format as /api/channels/{id}/subscribers.
+ *       400:
+ *         description: Invalid cursor.
+ *       403:
+ *         description: The channel hides its subscriptions.
+ *       404:
+ *         description: No channels found.
+ *
+ */
+const subscriptions = async (req, res) => {
 	const id = req.params.id;
+	let channel;
+
+	try {
+		channel = await Channel.findById(id).select("hideSubscriptions");
+	} catch (err) {
+		if (err.name !== "CastError") {
+			console.error(err);
+			return res.status(500).json(err);
+		}
+	}
+
+	if (!channel) {
+		return res.status(404).json({
+			message: "Channel does not exist!",
+		});
+	}
+
+	const isSelf = req.channel && String(req.channel._id) === String(channel._id);
+
+	if (channel.hideSubscriptions && !isSelf) {
+		return res.status(403).json({
+			message: "This channel keeps its subscriptions private",
+		});
+	}
+
+	return sendChannelPage(req, res, { subscriber: channel._id }, "channel");
+};
 
-    if(!Channel.exists({ _id: id })) {
-        res.status(404).json({
-            message: `Channel with ID ${id} doesn't exist!`
-        });
-    }
+// Update the privacy settings of the logged in channel
+/**
+ * @openapi
+ * /api/channels/me/privacy:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - channels
+ *     summary: Update privacy settings
+ *     description: Change the privacy settings of the logged in channel. Settings that aren't sent are kept.
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          hideSubscriptions:
+ *                              type: boolean
+ *                              description: Only let the channel itself see its subscriptions
+ *                              example: true
+ *     responses:
+ *       200:
+ *         description: Returns the privacy settings.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      hideSubscriptions:
+ *                          type: boolean
+ *                          example: true
+ *       400:
+ *         description: Invalid setting.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const updatePrivacy = (req, res) => {
+	const settings = {};
 
-	// find video from id
-	const channel = await Channel.findById(req.channel._id);
+	if (req.body.hideSubscriptions !== undefined) {
+		// form bodies send booleans as strings
+		settings.hideSubscriptions = { true: true, false: false }[
+			String(req.body.hideSubscriptions)
+		];
 
-    // const hasSubbed = channel.subscribed.findIndex(channelId => channelId === id);
+		if (settings.hideSubscriptions === undefined) {
+			return res.status(400).json({
+				message: "'hideSubscriptions' must be true or false",
+			});
+		}
+	}
 
-    // const isASub = hasSubbed !== -1 ? false : true; 
-    
-	return res.status(200).json(channel);
+	Channel.findByIdAndUpdate(req.channel._id, settings, { new: true })
+		.select("hideSubscriptions")
+		.then(async (channel) => {
+			// hide or show the channel in the subscriber lists of its subscriptions
+			if (settings.hideSubscriptions !== undefined) {
+				await Subscription.updateMany(
+					{ subscriber: req.channel._id },
+					{ hidden: settings.hideSubscriptions }
+				);
+			}
 
+			res.status(200).json({
+				hideSubscriptions: !!channel?.hideSubscriptions,
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
 };
 
 // Subscribe to a channel
@@ -393,7 +1636,7 @@ const subscribed = async (req, res) => {
  *     tags:
  *      - channels
  *     summary: Increment or decrement subscriber value
- *     description: Increment or decrement subscriber value based on the channel's ObjectID
+ *     description: Subscribe the logged in channel to the channel with a specific ObjectID, or unsubscribe if already subscribed. The subscriber count only changes when a subscription is actually added or removed. Channels can't subscribe to themselves.
  *     parameters:
  *          - in: path
  *            name: id
@@ -416,6 +1659,16 @@ const subscribed = async (req, res) => {
  *                      type: string
  *                      description: successful response.
  *                      example: The subscriber value has been incremented.
+ *                  subscribed:
+ *                      type: boolean
+ *                      description: whether the logged in channel is now subscribed
+ *                      example: true
+ *                  subscribers:
+ *                      type: integer
+ *                      description: the channel's subscriber count after the change
+ *                      example: 42
+ *       400:
+ *         description: Subscribing to your own channel.
  *       404:
  *         description: No channel found.
  *         content:
@@ -442,31 +1695,45 @@ const subscribed = async (req, res) => {
 const subscribe = async (req, res) => {
 	const id = req.params.id;
 
-    if(!Channel.exists({ _id: id })) {
-        res.status(404).json({
-            message: `Channel with ID ${id} doesn't exist!`
-        });
-    }
+	if (id === String(req.channel._id)) {
+		return res.status(400).json({
+			message: "You can't subscribe to your own channel!",
+		});
+	}
 
-	// find video from id
-	const channel = await Channel.findById(req.channel._id);
+	try {
+		if (!(await Channel.exists({ _id: id }))) {
+			return res.status(404).json({
+				message: `Channel with ID ${id} doesn't exist!`,
+			});
+		}
 
-    const hasSubbed = channel.subscribed.findIndex(channelId => String(channelId) === id);
+		const { subscribed, subscribers } = await toggleSubscription(
+			req.channel._id,
+			id
+		);
 
-    const incrementOrDecrementByOne = hasSubbed !== -1 ? -1 : 1; 
-    const pushOrPullSub = hasSubbed !== -1 ? { $pull: { subscribed: id } } : { $push: { subscribed: id } }
+		// unsubscribing doesn't notify
+		if (subscribed) {
+			notify(id, "subscriber", { actor: req.channel._id });
+		}
 
-    Channel.findByIdAndUpdate(req.channel._id, pushOrPullSub)
-    .then(channel => {
-        Channel.findByIdAndUpdate(id, { $inc: { subscribers: incrementOrDecrementByOne } })
-        .then(channel => {
-            res.status(200).json({
-                message: `Channel's subscription has been updated.`,
-                type: hasSubbed !== -1 ? 'decrement' : 'increment'
-            })
-        })
-    })
+		return res.status(200).json({
+			message: `Channel's subscription has been updated.`,
+			type: subscribed ? "increment" : "decrement",
+			subscribed,
+			subscribers,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel with ID ${id} doesn't exist!`,
+			});
+		}
 
+		console.error(err);
+		return res.status(500).json(err);
+	}
 };
 
 // update channel
@@ -541,6 +1808,9 @@ const subscribe = async (req, res) => {
  *                      description: the date the comment is updated
  *                      example: 2023-05-18T07:07:14.036Z
  *
+ *       403:
+ *         description: API keys can't change the email or password.
+ *
  *       500:
  *         description: Internal error
  *         content:
@@ -554,9 +1824,20 @@ const subscribe = async (req, res) => {
  *
  */
 const update = (req, res) => {
-	let form = req.body;
+	// remove privileged & derived data from form
+	const form = channelForm(req.body);
 	const id = req.channel._id;
 
+	// the sign in details would hand the whole account to whoever holds the key
+	if (req.channel.apiKey && (form.email !== undefined || form.password !== undefined)) {
+		return res.status(403).json({
+			message: "API keys can't change the email or password",
+		});
+	}
+
+	// a new email has to be verified again
+	if (form.email) form.emailVerified = false;
+
 	// check for imgs
 	if (req.file) {
 		form.avatar = req.file.location;
@@ -586,6 +1867,11 @@ const update = (req, res) => {
 				.then((updatedData) => {
 					console.log(`Channel has been updated`, updatedData);
 
+					if (form.email) {
+						sendVerificationMail({ ...updatedData.toObject(), email: form.email })
+							.catch((err) => console.error(err));
+					}
+
 					res.status(201).json(updatedData);
 				})
 				.catch((err) => {
@@ -665,6 +1951,11 @@ const destroy = async (req, res) => {
 			} else {
 				// find and remove video id from the channel
 				Video.exists({ channel: id }).then(async (videos) => {
+					// comments about to be deleted, their notifications go with them
+					const deletedComments = await Comment.find({
+						$or: [{ _video_id: { $in: channel.videos } }, { _channel_id: id }],
+					}).distinct("_id");
+
 					// delete videos made by the channel
 					// along with the comments inside
 					if (await Video.exists({ channel: id })) {
@@ -682,6 +1973,44 @@ const destroy = async (req, res) => {
 						await Comment.deleteMany({ _channel_id: id });
 					}
 
+					// delete playback positions & history of & in the channel's videos
+					const watched = {
+						$or: [{ channel: id }, { video: { $in: channel.videos } }],
+					};
+					await WatchProgress.deleteMany(watched);
+					await WatchHistory.deleteMany(watched);
+					await PendingView.deleteMany({ video: { $in: channel.videos } });
+
+					// delete the channel's playlists & take its videos out of other playlists
+					const playlists = await Playlist.find({ channel: id }).distinct("_id");
+					await Playlist.deleteMany({ _id: { $in: playlists } });
+					await PlaylistInvite.deleteMany({ playlist: { $in: playlists } });
+					await Playlist.updateMany(
+						{ videos: { $in: channel.videos } },
+						{
+							$pull: {
+								videos: { $in: channel.videos },
+								additions: { video: { $in: channel.videos } },
+							},
+						}
+					);
+					// it can't edit other playlists anymore
+					await Playlist.updateMany({ editors: id }, { $pull: { editors: id } });
+
+					// unsubscribe it & its subscribers, fixing the counts it was part of
+					await removeChannelSubscriptions(id);
+
+					// delete notifications it received or caused
+					// & the ones about its videos & the deleted comments
+					await Notification.deleteMany({
+						$or: [
+							{ recipient: id },
+							{ actor: id },
+							{ video: { $in: channel.videos } },
+							{ comment: { $in: deletedComments } },
+						],
+					});
+
 					// delete profile image
 					if (channel.avatar) {
 						const url = channel.avatar.split("/");
@@ -710,10 +2039,23 @@ const destroy = async (req, res) => {
 module.exports = {
 	register,
 	login,
-	loginRequired,
+	refresh,
+	logout,
+	forgotPassword,
+	resetPassword,
+	verifyEmail,
+	resendVerification,
+	verifiedRequired,
+	permissionRequired,
+	ownershipRequired,
 	show,
+	videos,
+	feed,
 	update,
 	destroy,
 	subscribe,
-	subscribed
+	subscribed,
+	subscribers,
+	subscriptions,
+	updatePrivacy,
 };
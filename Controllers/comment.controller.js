@@ -1,6 +1,45 @@
 const Comment = require("../Models/comment.model");
 const Video = require("../Models/video.model");
 const Channel = require("../Models/channel.model");
+const Notification = require("../Models/notification.model");
+const {
+	parseLimit,
+	wantsCursor,
+	paginateByCursor,
+} = require("../config/pagination");
+const { notify } = require("../config/notifications");
+
+// respond with a cursor page of comments
+const sendCursorPage = (req, res, query, sort) => {
+	return paginateByCursor(query, {
+		sort,
+		limit: parseLimit(req.query.limit),
+		cursor: req.query.cursor,
+	})
+		.then(({ items, next, prev }) => {
+			res.status(200).json({
+				next,
+				prev,
+				comments: items,
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CursorError") {
+				return res.status(400).json({
+					message: err.message,
+				});
+			}
+
+			console.error(err);
+			if (err.name === "CastError") {
+				res.status(404).json({
+					message: `Comment ${req.params.id} not found!`,
+				});
+			} else {
+				res.status(500).json(err);
+			}
+		});
+};
 
 // show all comments
 /**
@@ -10,17 +49,25 @@ const Channel = require("../Models/channel.model");
  *     tags:
  *      - comments
  *     summary: Retrieve a list of comments
- *     description: Retrieve a list of paginated comments. Default to 10 comments per page. Can iterate through page using 'page' & 'limit' query
+ *     description: Retrieve a list of paginated comments. Default to 10 comments per page, iterate through pages using 'page'. Pass 'cursor', or 'paginate=cursor' for the first page, to iterate with the 'next' or 'prev' cursor of the response instead.
  *     parameters:
  *          - in: query
  *            name: page
  *            type: integer
  *            description: The page to select
- *            default: 1
+ *          - in: query
+ *            name: paginate
+ *            type: string
+ *            enum: [cursor]
+ *            description: Use cursor pagination from the first page
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
  *          - in: query
  *            name: limit
  *            type: integer
- *            description: The numbers of items to skip before showing the result
+ *            description: The numbers of comments per page
  *            default: 10
  *     responses:
  *       200:
@@ -30,6 +77,14 @@ const Channel = require("../Models/channel.model");
  *             schema:
  *               type: object
  *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page, with cursor pagination only
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page, with cursor pagination only
  *                  page:
  *                      type: integer
  *                      description: The current page number of comment list
@@ -132,22 +187,28 @@ const Channel = require("../Models/channel.model");
  *
  */
 const index = (req, res) => {
+	// find comments and linking any relationships
+	const query = Comment.find().populate([
+		{
+			path: "_channel_id",
+			select: "-email -password -videos -__v -roles -twoFactor.enabled -suspended -emailVerified -liked -disliked -comment_liked -comment_disliked", //removing sensitive info
+		},
+		{
+			path: "_video_id",
+			select: ["_id", "title", "url"],
+		},
+	]);
+
+	// page numbers by default, cursors when asked for
+	if (wantsCursor(req.query)) {
+		return sendCursorPage(req, res, query, { _id: 1 });
+	}
+
 	// API queries
 	const page = req.query.page | 0;
 	const perPage = req.query.limit | 10;
 
-	// find comments and linking any relationships
-	Comment.find()
-		.populate([
-			{
-				path: "_channel_id",
-				select: "-email -password -videos -__v -roles", //removing sensitive info
-			},
-			{
-				path: "_video_id",
-				select: ["_id", "title", "url"],
-			},
-		])
+	query
 		.limit(perPage) //pagination
 		.skip(page * perPage)
 		.then(async (comments) => {
@@ -155,15 +216,12 @@ const index = (req, res) => {
 
 			// show comments if exist
 			if (comments.length > 0) {
-				let commentsLength = Math.max(
-					await Comment.estimatedDocumentCount(),
-					10
-				);
+				const commentsLength = await Comment.countDocuments();
 
 				// return 200
 				res.status(200).json({
 					page: page + 1,
-					pages: Math.floor(commentsLength / perPage),
+					pages: Math.ceil(commentsLength / perPage),
 					comments,
 				});
 			} else {
@@ -348,11 +406,19 @@ const show = (req, res) => {
  *            name: page
  *            type: integer
  *            description: The page to select
- *            default: 1
+ *          - in: query
+ *            name: paginate
+ *            type: string
+ *            enum: [cursor]
+ *            description: Use cursor pagination from the first page
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
  *          - in: query
  *            name: limit
  *            type: integer
- *            description: The numbers of items to skip before showing the result
+ *            description: The numbers of comments per page
  *            default: 10
  *     responses:
  *       200:
@@ -362,6 +428,14 @@ const show = (req, res) => {
  *             schema:
  *               type: object
  *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page, with cursor pagination only
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page, with cursor pagination only
  *                  page:
  *                      type: integer
  *                      description: The current page number of child comment list
@@ -463,92 +537,54 @@ const show = (req, res) => {
  *                              example: errors
  *
  */
-const showChildComments = async (req, res) => {
+const showChildComments = (req, res) => {
 	const id = req.params.id;
-	const perPage = req.query.limit ? Math.max(10, req.query.limit) : 10;
-	const page = req.query.page ? Math.max(1, req.query.page) : 1;
 
-	if ((await Comment.countDocuments({ _parent_comment_id: id })) < 10) {
-		Comment.find({ _parent_comment_id: id })
-			.populate([
-				{
-					path: "_channel_id",
-					select: "_id username subscriber avatar",
-				},
-			])
-			.then(async (comments) => {
-				if (!comments)
-					res.status(404).json({
-						message: `Parent comment ${id} not found!`,
-					});
+	const query = Comment.find({ _parent_comment_id: id }).populate([
+		{
+			path: "_channel_id",
+			select: "_id username subscriber avatar",
+		},
+	]);
 
-				// get the largest num. to use as a division for value of pages
-				const commentsLength = Math.max(
-					await Comment.countDocuments({ _parent_comment_id: id }),
-					10
-				);
+	// page numbers by default, cursors when asked for
+	// replies are shown oldest first
+	if (wantsCursor(req.query)) {
+		return sendCursorPage(req, res, query, { _id: 1 });
+	}
 
-				// if collection contains documents
-				// returns 200 status
-				res.status(200).json({
-					page: page,
-					pages: 1,
-					comments,
-				});
-			})
-			.catch((err) => {
-				if (err.name === "CastError") {
-					console.error(err);
-					res.status(404).json({
-						message: `Comment ${id} not found!`,
-					});
-				} else {
-					console.error(err);
-					res.status(500).json(err);
-				}
-			});
-	} else {
-		Comment.find({ _parent_comment_id: id })
-			.populate([
-				{
-					path: "_channel_id",
-					select: "_id username subscriber avatar",
-				},
-			])
-			.limit(perPage)
-			.skip(perPage * page)
-			.then(async (comments) => {
-				if (!comments)
-					res.status(404).json({
-						message: `Parent comment ${id} not found!`,
-					});
+	const perPage = req.query.limit ? Math.max(10, req.query.limit) : 10;
+	const page = Math.max(1, req.query.page) || 1;
 
-				// get the largest num. to use as a division for value of pages
-				const commentsLength = Math.max(
-					await Comment.countDocuments({ _parent_comment_id: id }),
-					10
-				);
+	query
+		.sort({ _id: 1 })
+		.limit(perPage)
+		.skip(perPage * (page - 1))
+		.then(async (comments) => {
+			// count the replies and use it for pagination numbering
+			const commentsLength = await Comment.countDocuments({
+				_parent_comment_id: id,
+			});
 
-				// if collection contains documents
-				// returns 200 status
-				res.status(200).json({
-					page: page,
-					pages: Math.floor(commentsLength / perPage),
-					comments,
-				});
-			})
-			.catch((err) => {
-				if (err.name === "CastError") {
-					console.error(err);
-					res.status(404).json({
-						message: `Comment ${id} not found!`,
-					});
-				} else {
-					console.error(err);
-					res.status(500).json(err);
-				}
+			// if collection contains documents
+			// returns 200 status
+			res.status(200).json({
+				page: page,
+				pages: Math.max(1, Math.ceil(commentsLength / perPage)),
+				comments,
 			});
-	}
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				console.error(err);
+				res.status(404).json({
+					message: `Comment ${id} not found!`,
+				});
+			} else {
+				console.error(err);
+				res.status(500).json(err);
+			}
+		});
 };
 // Liking a comment
 /**
@@ -624,6 +660,15 @@ const likeComment = async (req, res) => {
     .then(channel => {
         Comment.findByIdAndUpdate(id, { $inc: { likes: incrementOrDecrementByOne } })
         .then(comment => {
+            // let the commenter know, unliking doesn't notify
+            if (comment && hasLiked === -1) {
+                notify(comment._channel_id, "comment_like", {
+                    actor: req.channel._id,
+                    video: comment._video_id,
+                    comment: comment._id,
+                });
+            }
+
             res.status(200).json({
                 message: `Comment's Like has been updated.`,
                 type: hasLiked !== -1 ? 'decrement' : 'increment'
@@ -913,6 +958,9 @@ const createCommentInVideo = async (req, res) => {
  *                      description: the date the comment is updated
  *                      example: 2023-05-18T07:07:14.036Z
  *
+ *       404:
+ *         description: Parent comment not found.
+ *
  *       500:
  *         description: Internal error
  *         content:
@@ -931,13 +979,17 @@ const createCommentInComment = async (req, res) => {
 	let commentId = req.params.commentId;
 
 	// get video id from parent comment id
-	form._video_id = (await Comment.findById(commentId))._video_id;
-	form._channel_id = req.channel._id;
-	form._parent_comment_id = commentId;
+	const parent = await Comment.findById(commentId).catch(() => null);
 
-	// console.log(form._video_id);
+	if (!parent) {
+		return res.status(404).json({
+			message: `Comment with ID ${commentId} doesn't exist!`,
+		});
+	}
 
-	res.status(201).json(form);
+	form._video_id = parent._video_id;
+	form._channel_id = req.channel._id;
+	form._parent_comment_id = commentId;
 
 	// create child comment
 	Comment.create(form)
@@ -953,6 +1005,13 @@ const createCommentInComment = async (req, res) => {
 				}
 			);
 
+			// let the parent commenter know about the reply
+			notify(parent._channel_id, "reply", {
+				actor: req.channel._id,
+				video: parent._video_id,
+				comment: data._id,
+			});
+
 			res.status(201).json(data);
 		})
 		.catch((err) => {
@@ -1052,6 +1111,15 @@ const createCommentInComment = async (req, res) => {
  *                          type: array
  *                          items:
  *                              example: The comment not found
+ *       403:
+ *         description: the channel doesn't own the comment
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: You don't have permission to modify this comment!
  *       500:
  *         description: Internal error
  *         content:
@@ -1066,7 +1134,19 @@ const createCommentInComment = async (req, res) => {
  */
 const update = (req, res) => {
 	const id = req.params.id;
-	const body = req.body;
+
+	// remove immutable data from form
+	const {
+		_id,
+		_channel_id,
+		_video_id,
+		_parent_comment_id,
+		likes,
+		dislikes,
+		createdAt,
+		updatedAt,
+		...body
+	} = req.body;
 
 	//connect to model and retrieve comment with specified id
 	Comment.findByIdAndUpdate(id, body, {
@@ -1128,6 +1208,15 @@ const update = (req, res) => {
  *                          type: array
  *                          items:
  *                              example: The comment found
+ *       403:
+ *         description: the channel doesn't own the comment
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: You don't have permission to modify this comment!
  *       500:
  *         description: Internal error
  *         content:
@@ -1144,12 +1233,15 @@ const destroy = (req, res) => {
 	let id = req.params.id;
 	// find comment and delete
 	Comment.findByIdAndDelete(id)
-		.then((data) => {
+		.then(async (data) => {
 			if (!data) {
 				res.status(404).json({
 					message: `Comment ${id} not found!`,
 				});
 			} else {
+				// replies & likes it was notified for can't be shown anymore
+				await Notification.deleteMany({ comment: data._id });
+
 				// find video and delete comment id from comments array
 				Video.findByIdAndUpdate(
 					{ _id: data._video_id },
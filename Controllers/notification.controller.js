@@ -0,0 +1,279 @@
+const Notification = require("../Models/notification.model");
+const { parseLimit, paginateByCursor } = require("../config/pagination");
+
+// List notifications
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - notifications
+ *     summary: Retrieve notifications
+ *     description: Retrieve the logged in channel's notifications, newest first. Notifications are sent when a subscribed channel uploads, someone replies to your comment, likes your video or comment, or subscribes to you. They are removed after 90 days. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'.
+ *     parameters:
+ *          - in: query
+ *            name: unread
+ *            type: boolean
+ *            description: Only return unread notifications
+ *            default: false
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of notifications per page
+ *            default: 10
+ *     responses:
+ *       200:
+ *         description: Returns a page of notifications.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  notifications:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              _id:
+ *                                  type: string
+ *                                  example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                              type:
+ *                                  type: string
+ *                                  enum: [upload, reply, video_like, comment_like, subscriber]
+ *                                  example: upload
+ *                              actor:
+ *                                  type: object
+ *                                  description: the channel that caused the notification
+ *                              video:
+ *                                  type: object
+ *                                  nullable: true
+ *                                  description: the video it's about, if any
+ *                              comment:
+ *                                  type: object
+ *                                  nullable: true
+ *                                  description: the comment it's about, if any
+ *                              readAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  nullable: true
+ *                                  example: null
+ *                              createdAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  example: 2023-05-18T07:07:14.036Z
+ *       400:
+ *         description: Invalid cursor.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const index = (req, res) => {
+	const filter = { recipient: req.channel._id };
+
+	if (req.query.unread === "true") filter.readAt = null;
+
+	const query = Notification.find(filter)
+		.populate([
+			{
+				path: "actor",
+				select: "_id username subscriber avatar",
+			},
+			{
+				path: "video",
+				select: "_id title thumbnail",
+			},
+			{
+				path: "comment",
+				select: "_id body _video_id",
+			},
+		])
+		.select("-__v -recipient -updatedAt");
+
+	paginateByCursor(query, {
+		sort: { _id: -1 },
+		limit: parseLimit(req.query.limit),
+		cursor: req.query.cursor,
+	})
+		.then(({ items, next, prev }) => {
+			res.status(200).json({
+				next,
+				prev,
+				notifications: items,
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CursorError") {
+				return res.status(400).json({
+					message: err.message,
+				});
+			}
+
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// Count unread notifications
+/**
+ * @openapi
+ * /api/notifications/unread-count:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - notifications
+ *     summary: Count unread notifications
+ *     description: Count the logged in channel's unread notifications, e.g. for a badge.
+ *     responses:
+ *       200:
+ *         description: Returns the number of unread notifications.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      unread:
+ *                          type: integer
+ *                          example: 3
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const unreadCount = (req, res) => {
+	Notification.countDocuments({ recipient: req.channel._id, readAt: null })
+		.then((unread) => {
+			res.status(200).json({ unread });
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// Mark a notification as read
+/**
+ * @openapi
+ * /api/notifications/{id}/read:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - notifications
+ *     summary: Mark a notification as read
+ *     description: Mark one of the logged in channel's notifications as read. Marking a read notification again keeps the time it was first read.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The notification ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns the time the notification was read.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      _id:
+ *                          type: string
+ *                          example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                      readAt:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-18T07:07:14.036Z
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: notification not found
+ *
+ */
+const markRead = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const notification = await Notification.findOneAndUpdate(
+			{ _id: id, recipient: req.channel._id },
+			// keep the first time it was read
+			[{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+			{ new: true }
+		);
+
+		if (!notification) {
+			return res.status(404).json({
+				message: `Notification ${id} not found!`,
+			});
+		}
+
+		return res.status(200).json({
+			_id: notification._id,
+			readAt: notification.readAt,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Notification ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Mark every notification as read
+/**
+ * @openapi
+ * /api/notifications/read-all:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - notifications
+ *     summary: Mark every notification as read
+ *     description: Mark all of the logged in channel's unread notifications as read.
+ *     responses:
+ *       200:
+ *         description: Returns the number of notifications marked as read.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      updated:
+ *                          type: integer
+ *                          example: 3
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const markAllRead = (req, res) => {
+	Notification.updateMany(
+		{ recipient: req.channel._id, readAt: null },
+		{ readAt: new Date() }
+	)
+		.then(({ modifiedCount }) => {
+			res.status(200).json({ updated: modifiedCount });
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+module.exports = {
+	index,
+	unreadCount,
+	markRead,
+	markAllRead,
+};
@@ -0,0 +1,1225 @@
+const crypto = require("crypto");
+const Playlist = require("../Models/playlist.model");
+const PlaylistInvite = require("../Models/playlistInvite.model");
+const Video = require("../Models/video.model");
+const Channel = require("../Models/channel.model");
+const { hashToken } = require("../config/tokens");
+const { hasPermission } = require("../config/roles");
+
+// invites expire after a week if nobody accepts them
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// video fields shown in a playlist, with the channel of each video
+const VIDEO_CARD = {
+	path: "videos",
+	select: "_id title url tag thumbnail duration views createdAt channel",
+	populate: {
+		path: "channel",
+		select: "_id username subscriber avatar",
+	},
+};
+
+const idOf = (ref) => String(ref?._id || ref);
+
+const isOwner = (playlist, channel) =>
+	!!channel && idOf(playlist.channel) === String(channel._id);
+
+const isEditor = (playlist, channel) =>
+	!!channel && playlist.editors.some((editor) => idOf(editor) === String(channel._id));
+
+// private playlists can only be seen by their owner & editors
+const canView = (playlist, channel) =>
+	playlist.visibility !== "private" ||
+	isOwner(playlist, channel) ||
+	isEditor(playlist, channel);
+
+// editor middleware, use after auth("required-auth") on routes with an :id param
+// the owner & invited editors can continue, as can admins
+// sets req.playlistRole to "owner", "editor" or "admin"
+const editorRequired = (req, res, next) => {
+	const id = req.params.id;
+
+	Playlist.findById(id)
+		.select("channel editors")
+		.then(async (playlist) => {
+			if (!playlist) {
+				return res.status(404).json({
+					message: `Playlist ${id} not found!`,
+				});
+			}
+
+			if (isOwner(playlist, req.channel)) {
+				req.playlistRole = "owner";
+				return next();
+			}
+
+			if (isEditor(playlist, req.channel)) {
+				req.playlistRole = "editor";
+				return next();
+			}
+
+			// not invited, check for a privileged role
+			const channel = await Channel.findById(req.channel._id).select(
+				"roles suspended"
+			);
+
+			if (channel && !channel.suspended && hasPermission(channel.roles, "playlists:update:any")) {
+				req.channel.roles = channel.roles;
+				req.playlistRole = "admin";
+				return next();
+			}
+
+			return res.status(403).json({
+				message: "You don't have permission to modify this playlist!",
+			});
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				return res.status(404).json({
+					message: `Playlist ${id} not found!`,
+				});
+			}
+
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// times a reorder is retried when the playlist changes under it
+const MAX_MOVE_TRIES = 3;
+
+// respond with the errors of a failed save or a 500
+const sendSaveError = (res, err) => {
+	if (err.name === "ValidationError") {
+		return res.status(422).json({
+			errors: err.errors,
+		});
+	}
+
+	// someone else changed the playlist between reading & saving it
+	if (err.name === "VersionError") {
+		return res.status(409).json({
+			message: "The playlist was changed at the same time, try again",
+		});
+	}
+
+	console.error(err);
+	return res.status(500).json(err);
+};
+
+// Create a playlist
+/**
+ * @openapi
+ * /api/playlists:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Create a playlist
+ *     description: Create an empty playlist owned by the logged in channel. Playlists are private unless another visibility is given.
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          title:
+ *                              type: string
+ *                              required: true
+ *                              example: Pasta recipes
+ *                          description:
+ *                              type: string
+ *                              example: Every pasta recipe worth making
+ *                          visibility:
+ *                              type: string
+ *                              enum: [public, unlisted, private]
+ *                              default: private
+ *     responses:
+ *       201:
+ *         description: Returns the new playlist.
+ *       401:
+ *         description: Unauthorised channel
+ *       422:
+ *         description: Missing title or invalid visibility.
+ *
+ */
+const create = (req, res) => {
+	const { title, description, visibility } = req.body;
+
+	Playlist.create({
+		title,
+		description,
+		visibility,
+		channel: req.channel._id,
+	})
+		.then((playlist) => {
+			res.status(201).json(playlist);
+		})
+		.catch((err) => sendSaveError(res, err));
+};
+
+// Show a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}:
+ *   get:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Retrieve a playlist
+ *     description: Retrieve a playlist with its videos in order. Public and unlisted playlists can be seen by anyone with the id, private ones only by their owner.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns the playlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                  title:
+ *                      type: string
+ *                      example: Pasta recipes
+ *                  description:
+ *                      type: string
+ *                      example: Every pasta recipe worth making
+ *                  visibility:
+ *                      type: string
+ *                      enum: [public, unlisted, private]
+ *                      example: public
+ *                  channel:
+ *                      type: object
+ *                      description: the channel that owns the playlist
+ *                  videoCount:
+ *                      type: integer
+ *                      example: 12
+ *                  videos:
+ *                      type: array
+ *                      description: the videos in playlist order
+ *       404:
+ *         description: playlist not found, or private
+ *
+ */
+const show = (req, res) => {
+	const id = req.params.id;
+
+	Playlist.findById(id)
+		.populate([
+			{
+				path: "channel",
+				select: "_id username subscriber avatar",
+			},
+			{
+				path: "editors",
+				select: "_id username subscriber avatar",
+			},
+			{
+				path: "additions.addedBy",
+				select: "_id username avatar",
+			},
+			VIDEO_CARD,
+		])
+		.select("-__v")
+		.then((playlist) => {
+			// private playlists are hidden as if they don't exist
+			if (!playlist || !canView(playlist, req.channel)) {
+				return res.status(404).json({
+					message: `Playlist ${id} not found!`,
+				});
+			}
+
+			return res.status(200).json(playlistJSON(playlist));
+		})
+		.catch((err) => {
+			if (err.name === "CastError") {
+				return res.status(404).json({
+					message: `Playlist ${id} not found!`,
+				});
+			}
+
+			console.error(err);
+			return res.status(500).json(err);
+		});
+};
+
+// a populated playlist as returned by the API
+// each video says who added it & when, additions are folded into the videos
+const playlistJSON = (playlist) => {
+	const { additions = [], ...json } = playlist.toJSON();
+	const added = new Map(additions.map((addition) => [String(addition.video), addition]));
+
+	const videos = json.videos.filter(Boolean).map((video) => ({
+		...video,
+		addedBy: added.get(String(video._id))?.addedBy || null,
+		addedAt: added.get(String(video._id))?.addedAt || null,
+	}));
+
+	return {
+		...json,
+		videoCount: videos.length,
+		videos,
+	};
+};
+
+// Update a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Rename a playlist or change its visibility
+ *     description: Change the title, description or visibility of a playlist owned by the logged in channel. Fields that aren't sent are kept.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          title:
+ *                              type: string
+ *                              example: Best pasta recipes
+ *                          description:
+ *                              type: string
+ *                          visibility:
+ *                              type: string
+ *                              enum: [public, unlisted, private]
+ *     responses:
+ *       200:
+ *         description: Returns the updated playlist.
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner of the playlist, or a system playlist
+ *       404:
+ *         description: playlist not found
+ *       422:
+ *         description: Empty title or invalid visibility.
+ *
+ */
+const update = async (req, res) => {
+	// only these can be changed, videos have their own routes
+	const { title, description, visibility } = req.body;
+
+	try {
+		const playlist = await Playlist.findById(req.params.id);
+
+		if (playlist.system) {
+			return res.status(403).json({
+				message: "System playlists can't be renamed or made public!",
+			});
+		}
+
+		if (title !== undefined) playlist.title = title;
+		if (description !== undefined) playlist.description = description;
+		if (visibility !== undefined) playlist.visibility = visibility;
+
+		await playlist.save();
+
+		return res.status(200).json(playlist);
+	} catch (err) {
+		return sendSaveError(res, err);
+	}
+};
+
+// Delete a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Delete a playlist
+ *     description: Delete a playlist owned by the logged in channel. The videos in it aren't deleted.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *     responses:
+ *       200:
+ *         description: playlist deleted
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Playlist 6564a2f1c3b2a1f0e9d8c7b6 has been deleted
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner of the playlist, or a system playlist
+ *       404:
+ *         description: playlist not found
+ *
+ */
+const destroy = (req, res) => {
+	const id = req.params.id;
+
+	Playlist.findOneAndDelete({ _id: id, system: { $exists: false } })
+		.then((playlist) => {
+			if (!playlist) {
+				return res.status(403).json({
+					message: "System playlists can't be deleted!",
+				});
+			}
+
+			// pending invites to it can't be accepted anymore
+			return PlaylistInvite.deleteMany({ playlist: id }).then(() => {
+				res.status(200).json({
+					message: `Playlist ${id} has been deleted`,
+				});
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// read a position from a request, undefined if it wasn't sent
+// null if it isn't a whole number of 0 or more
+const parsePosition = (value) => {
+	if (value === undefined || value === "") return undefined;
+
+	const position = Number(value);
+
+	return Number.isInteger(position) && position >= 0 ? position : null;
+};
+
+// Add a video to a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}/videos:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Add a video to a playlist
+ *     description: Add a video to a playlist the logged in channel owns or edits, at the end or at a position. A video can only be in a playlist once, the playlist records who added it.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          video:
+ *                              type: string
+ *                              required: true
+ *                              description: The video ObjectID
+ *                              example: 653c303970f555b2245cf569
+ *                          position:
+ *                              type: integer
+ *                              description: 0 based index to insert the video at, the end if not sent
+ *                              example: 0
+ *     responses:
+ *       200:
+ *         description: Returns the videos of the playlist in order.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      videos:
+ *                          type: array
+ *                          description: list of video ObjectIDs
+ *       400:
+ *         description: Invalid position.
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner or an editor of the playlist
+ *       404:
+ *         description: playlist or video not found
+ *       409:
+ *         description: The video is already in the playlist.
+ *       422:
+ *         description: The playlist is full.
+ *
+ */
+const addVideo = (req, res) =>
+	insertVideo(req, res, () => Playlist.findById(req.params.id));
+
+// add the video in the request body to a playlist
+// findPlaylist resolves with the playlist to add it to
+const insertVideo = async (req, res, findPlaylist) => {
+	const videoId = req.body.video;
+	const position = parsePosition(req.body.position);
+
+	if (position === null) {
+		return res.status(400).json({
+			message: "'position' must be a whole number of 0 or more",
+		});
+	}
+
+	try {
+		const video = videoId && (await Video.exists({ _id: videoId }));
+
+		if (!video) {
+			return res.status(404).json({
+				message: `Video ${videoId} not found!`,
+			});
+		}
+
+		const { _id } = await findPlaylist();
+
+		// one atomic update, so editors adding at the same time don't overwrite each other
+		// $position past the end adds it last
+		const playlist = await Playlist.findOneAndUpdate(
+			{
+				_id,
+				videos: { $ne: video._id },
+				[`videos.${Playlist.MAX_VIDEOS - 1}`]: { $exists: false },
+			},
+			{
+				$push: {
+					videos: {
+						$each: [video._id],
+						...(position !== undefined ? { $position: position } : {}),
+					},
+					additions: { video: video._id, addedBy: req.channel._id },
+				},
+			},
+			{ new: true }
+		);
+
+		if (!playlist) {
+			const current = await Playlist.findById(_id).select("videos");
+
+			if (current?.videos.some((id) => String(id) === String(video._id))) {
+				return res.status(409).json({
+					message: "Video is already in the playlist",
+				});
+			}
+
+			return res.status(422).json({
+				message: `A playlist can't have more than ${Playlist.MAX_VIDEOS} videos`,
+			});
+		}
+
+		return res.status(200).json({
+			videos: playlist.videos,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Video ${videoId} not found!`,
+			});
+		}
+
+		return sendSaveError(res, err);
+	}
+};
+
+// Move a video within a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}/videos/{videoId}:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Move a video within a playlist
+ *     description: Move a video of a playlist the logged in channel owns or edits to another position, the videos in between shift by one.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *          - in: path
+ *            name: videoId
+ *            type: string
+ *            description: The video ObjectID
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          position:
+ *                              type: integer
+ *                              required: true
+ *                              description: 0 based index to move the video to, past the end moves it last
+ *                              example: 0
+ *     responses:
+ *       200:
+ *         description: Returns the videos of the playlist in order.
+ *       400:
+ *         description: Missing or invalid position.
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner or an editor of the playlist
+ *       404:
+ *         description: playlist not found, or the video isn't in it
+ *       409:
+ *         description: The playlist kept changing at the same time, try again.
+ *
+ */
+const moveVideo = async (req, res) => {
+	const videoId = req.params.videoId;
+	const position = parsePosition(req.body.position);
+
+	if (position === undefined || position === null) {
+		return res.status(400).json({
+			message: "'position' must be a whole number of 0 or more",
+		});
+	}
+
+	try {
+		// a move can't be one $push, so the new order is only written if nobody changed it since reading
+		// and worked out again from the latest order if they did
+		for (let tries = 0; tries < MAX_MOVE_TRIES; tries++) {
+			const current = await Playlist.findById(req.params.id).select("videos").lean();
+
+			if (!current) {
+				return res.status(404).json({
+					message: `Playlist ${req.params.id} not found!`,
+				});
+			}
+
+			const { videos } = current;
+			const from = videos.findIndex((id) => String(id) === videoId);
+
+			if (from === -1) {
+				return res.status(404).json({
+					message: `Video ${videoId} isn't in the playlist!`,
+				});
+			}
+
+			const moved = [...videos];
+			const [video] = moved.splice(from, 1);
+			moved.splice(Math.min(position, moved.length), 0, video);
+
+			const playlist = await Playlist.findOneAndUpdate(
+				{ _id: req.params.id, videos: { $eq: videos } },
+				{ $set: { videos: moved } },
+				{ new: true }
+			);
+
+			if (playlist) {
+				return res.status(200).json({
+					videos: playlist.videos,
+				});
+			}
+		}
+
+		return res.status(409).json({
+			message: "The playlist was changed at the same time, try again",
+		});
+	} catch (err) {
+		return sendSaveError(res, err);
+	}
+};
+
+// Remove a video from a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}/videos/{videoId}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Remove a video from a playlist
+ *     description: Remove a video from a playlist. The owner can remove any video, editors only the ones they added. The video itself isn't deleted.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *          - in: path
+ *            name: videoId
+ *            type: string
+ *            description: The video ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns the videos of the playlist in order.
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner or an editor of the playlist, or an editor removing a video they didn't add
+ *       404:
+ *         description: playlist not found, or the video isn't in it
+ *
+ */
+const removeVideo = (req, res) =>
+	takeOutVideo(req, res, () => Playlist.findById(req.params.id));
+
+// remove the video in the request params from a playlist
+// findPlaylist resolves with the playlist to remove it from
+const takeOutVideo = async (req, res, findPlaylist) => {
+	const videoId = req.params.videoId;
+
+	try {
+		const playlist = await findPlaylist();
+		const index = playlist.videos.findIndex((id) => String(id) === videoId);
+
+		if (index === -1) {
+			return res.status(404).json({
+				message: `Video ${videoId} isn't in the playlist!`,
+			});
+		}
+
+		const addition = playlist.additions.find(
+			(addition) => String(addition.video) === videoId
+		);
+
+		// editors can only remove the videos they added
+		if (
+			req.playlistRole === "editor" &&
+			String(addition?.addedBy) !== String(req.channel._id)
+		) {
+			return res.status(403).json({
+				message: "Editors can only remove the videos they added!",
+			});
+		}
+
+		// pulled atomically, an editor's video has to still be theirs
+		const updated = await Playlist.findOneAndUpdate(
+			{
+				_id: playlist._id,
+				videos: videoId,
+				...(req.playlistRole === "editor"
+					? {
+							additions: {
+								$elemMatch: { video: videoId, addedBy: req.channel._id },
+							},
+					  }
+					: {}),
+			},
+			{ $pull: { videos: videoId, additions: { video: videoId } } },
+			{ new: true }
+		);
+
+		// removed by someone else in the meantime
+		if (!updated) {
+			return res.status(404).json({
+				message: `Video ${videoId} isn't in the playlist!`,
+			});
+		}
+
+		return res.status(200).json({
+			videos: updated.videos,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Video ${videoId} isn't in the playlist!`,
+			});
+		}
+
+		return sendSaveError(res, err);
+	}
+};
+
+// the channel's watch later playlist, created the first time it's needed
+const findWatchLater = (channel) =>
+	Playlist.findOneAndUpdate(
+		{ channel, system: "watch_later" },
+		{ $setOnInsert: { title: "Watch later", visibility: "private" } },
+		{ upsert: true, new: true, setDefaultsOnInsert: true }
+	);
+
+// List liked videos
+/**
+ * @openapi
+ * /api/channels/me/playlists/liked:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Retrieve the liked videos playlist
+ *     description: Retrieve the videos the logged in channel liked, most recently liked first. Videos are added & removed by liking them, this playlist can't be edited, renamed or deleted.
+ *     responses:
+ *       200:
+ *         description: Returns the liked videos playlist.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  title:
+ *                      type: string
+ *                      example: Liked videos
+ *                  system:
+ *                      type: string
+ *                      example: liked
+ *                  visibility:
+ *                      type: string
+ *                      example: private
+ *                  videoCount:
+ *                      type: integer
+ *                      example: 12
+ *                  videos:
+ *                      type: array
+ *                      description: the liked videos, with their channel
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const likedVideos = (req, res) => {
+	Channel.findById(req.channel._id)
+		.select("liked")
+		.populate({ ...VIDEO_CARD, path: "liked" })
+		.then((channel) => {
+			// liked is in the order videos were liked, deleted videos are left out
+			const videos = (channel?.liked || []).filter(Boolean).reverse();
+
+			res.status(200).json({
+				title: "Liked videos",
+				system: "liked",
+				visibility: "private",
+				videoCount: videos.length,
+				videos,
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// List watch later
+/**
+ * @openapi
+ * /api/channels/me/playlists/watch-later:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Retrieve the watch later playlist
+ *     description: Retrieve the logged in channel's watch later playlist. It's private and can't be renamed or deleted, its videos can be reordered with the /api/playlists routes using its id.
+ *     responses:
+ *       200:
+ *         description: Returns the watch later playlist, in the same format as /api/playlists/{id}.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const watchLater = async (req, res) => {
+	try {
+		const playlist = await findWatchLater(req.channel._id);
+		await playlist.populate(VIDEO_CARD);
+
+		return res.status(200).json(playlistJSON(playlist));
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Add a video to watch later
+/**
+ * @openapi
+ * /api/channels/me/playlists/watch-later:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Add a video to watch later
+ *     description: Add a video to the end of the logged in channel's watch later playlist, or at a position.
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          video:
+ *                              type: string
+ *                              required: true
+ *                              description: The video ObjectID
+ *                              example: 653c303970f555b2245cf569
+ *                          position:
+ *                              type: integer
+ *                              description: 0 based index to insert the video at, the end if not sent
+ *     responses:
+ *       200:
+ *         description: Returns the videos of watch later in order.
+ *       400:
+ *         description: Invalid position.
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: video not found
+ *       409:
+ *         description: The video is already in watch later.
+ *
+ */
+const addToWatchLater = (req, res) =>
+	insertVideo(req, res, () => findWatchLater(req.channel._id));
+
+// Remove a video from watch later
+/**
+ * @openapi
+ * /api/channels/me/playlists/watch-later/{videoId}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *      - apiKeyAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Remove a video from watch later
+ *     description: Remove a video from the logged in channel's watch later playlist.
+ *     parameters:
+ *          - in: path
+ *            name: videoId
+ *            type: string
+ *            description: The video ObjectID
+ *     responses:
+ *       200:
+ *         description: Returns the videos of watch later in order.
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: the video isn't in watch later
+ *
+ */
+const removeFromWatchLater = (req, res) =>
+	takeOutVideo(req, res, () => findWatchLater(req.channel._id));
+
+// Invite an editor to a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}/invites:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Invite an editor to a playlist
+ *     description: Create a single-use invite to edit a playlist owned by the logged in channel. Editors can add videos, reorder them and remove the videos they added. The token is only returned once, share it or the accept link with the channel to invite. Invites expire after 7 days.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *     requestBody:
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          channel:
+ *                              type: string
+ *                              description: Only let this channel accept the invite, anyone with the token if not sent
+ *                              example: 653d699d13d7c3d86a91c9f1
+ *     responses:
+ *       201:
+ *         description: Returns the invite token.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      token:
+ *                          type: string
+ *                          example: 9f2c4e8a1b7d3f6e0a5c2b8d4e1f7a3c9f2c4e8a1b7d3f6e0a5c2b8d4e1f7a3c
+ *                      url:
+ *                          type: string
+ *                          description: the route to accept the invite with
+ *                          example: /api/playlists/invites/9f2c4e8a.../accept
+ *                      expiresAt:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-25T07:07:14.036Z
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner of the playlist, or a system playlist
+ *       404:
+ *         description: playlist or channel not found
+ *
+ */
+const createInvite = async (req, res) => {
+	const invited = req.body.channel || null;
+
+	try {
+		const playlist = await Playlist.findById(req.params.id).select("channel system");
+
+		if (playlist.system) {
+			return res.status(403).json({
+				message: "System playlists can't be shared!",
+			});
+		}
+
+		if (invited && !(await Channel.exists({ _id: invited }))) {
+			return res.status(404).json({
+				message: `Channel ${invited} not found!`,
+			});
+		}
+
+		const token = crypto.randomBytes(32).toString("hex");
+		const invite = await PlaylistInvite.create({
+			playlist: playlist._id,
+			invitedBy: req.channel._id,
+			channel: invited,
+			token: hashToken(token),
+			expiresAt: new Date(Date.now() + INVITE_TTL),
+		});
+
+		return res.status(201).json({
+			token,
+			url: `/api/playlists/invites/${token}/accept`,
+			expiresAt: invite.expiresAt,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel ${invited} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Accept an invite to edit a playlist
+/**
+ * @openapi
+ * /api/playlists/invites/{token}/accept:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Accept an invite to edit a playlist
+ *     description: Become an editor of the playlist the invite is for. Each invite can only be accepted once.
+ *     parameters:
+ *          - in: path
+ *            name: token
+ *            type: string
+ *            description: The invite token
+ *     responses:
+ *       200:
+ *         description: Returns the playlist.
+ *       400:
+ *         description: The invite is for the logged in channel's own playlist.
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: The invite is for another channel.
+ *       404:
+ *         description: Invalid, expired or already used invite.
+ *
+ */
+const acceptInvite = async (req, res) => {
+	const now = new Date();
+	const token = hashToken(String(req.params.token));
+
+	try {
+		const pending = await PlaylistInvite.findOne({
+			token,
+			acceptedAt: null,
+			expiresAt: { $gt: now },
+		});
+
+		if (!pending) {
+			return res.status(404).json({
+				message: "Invite is invalid, expired or already used",
+			});
+		}
+
+		if (pending.channel && String(pending.channel) !== String(req.channel._id)) {
+			return res.status(403).json({
+				message: "This invite is for another channel!",
+			});
+		}
+
+		const playlist = await Playlist.findById(pending.playlist);
+
+		if (!playlist) {
+			return res.status(404).json({
+				message: "Invite is invalid, expired or already used",
+			});
+		}
+
+		if (isOwner(playlist, req.channel)) {
+			return res.status(400).json({
+				message: "You already own this playlist",
+			});
+		}
+
+		// use the invite up, unless someone else accepted it first
+		const invite = await PlaylistInvite.findOneAndUpdate(
+			{ _id: pending._id, acceptedAt: null },
+			{ acceptedBy: req.channel._id, acceptedAt: now },
+			{ new: true }
+		);
+
+		if (!invite) {
+			return res.status(404).json({
+				message: "Invite is invalid, expired or already used",
+			});
+		}
+
+		await Playlist.updateOne(
+			{ _id: playlist._id },
+			{ $addToSet: { editors: req.channel._id } }
+		);
+
+		return res.status(200).json({
+			message: `You can now edit playlist ${playlist._id}`,
+			playlist: playlist._id,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Remove an editor from a playlist
+/**
+ * @openapi
+ * /api/playlists/{id}/editors/{channelId}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - playlists
+ *     summary: Remove an editor from a playlist
+ *     description: Revoke a channel's access to edit a playlist. The owner can remove any editor, an editor can only remove themselves. The videos they added are kept.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The playlist ObjectID
+ *          - in: path
+ *            name: channelId
+ *            type: string
+ *            description: The editor's channel ObjectID
+ *     responses:
+ *       200:
+ *         description: editor removed
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Channel 653d699d13d7c3d86a91c9f1 can no longer edit this playlist
+ *       401:
+ *         description: Unauthorised channel
+ *       403:
+ *         description: Not the owner of the playlist, or removing another editor
+ *       404:
+ *         description: playlist not found, or the channel isn't an editor
+ *
+ */
+const removeEditor = async (req, res) => {
+	const channelId = req.params.channelId;
+
+	if (req.playlistRole === "editor" && channelId !== String(req.channel._id)) {
+		return res.status(403).json({
+			message: "Editors can only remove themselves!",
+		});
+	}
+
+	try {
+		const result = await Playlist.updateOne(
+			{ _id: req.params.id, editors: channelId },
+			{ $pull: { editors: channelId } }
+		);
+
+		if (result.modifiedCount === 0) {
+			return res.status(404).json({
+				message: `Channel ${channelId} isn't an editor of this playlist!`,
+			});
+		}
+
+		return res.status(200).json({
+			message: `Channel ${channelId} can no longer edit this playlist`,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Channel ${channelId} isn't an editor of this playlist!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// playlists of a channel as shown on its page
+// the owner sees all of them, everyone else only the public ones
+const channelPlaylists = async (channelId, viewer) => {
+	const isOwner = !!viewer && String(viewer._id) === String(channelId);
+
+	const playlists = await Playlist.find({
+		channel: channelId,
+		...(isOwner ? {} : { visibility: "public" }),
+	})
+		.select("_id title visibility system videos updatedAt")
+		.sort({ updatedAt: -1 })
+		.lean();
+
+	return playlists.map(({ videos, ...playlist }) => ({
+		...playlist,
+		videoCount: videos.length,
+	}));
+};
+
+module.exports = {
+	create,
+	show,
+	update,
+	destroy,
+	addVideo,
+	moveVideo,
+	removeVideo,
+	likedVideos,
+	watchLater,
+	addToWatchLater,
+	removeFromWatchLater,
+	createInvite,
+	acceptInvite,
+	removeEditor,
+	editorRequired,
+	channelPlaylists,
+};
@@ -0,0 +1,452 @@
+const Video = require("../Models/video.model");
+const Channel = require("../Models/channel.model");
+const Comment = require("../Models/comment.model");
+const {
+	MAX_QUERY_LENGTH,
+	searchTerms,
+	highlight,
+	prefixPatterns,
+} = require("../config/search");
+
+// suggestions are requested on every key press, so each lookup gets a tight time limit
+// a lookup that runs out of time is left empty instead of failing the whole request
+const SUGGEST_TIME_LIMIT = 150;
+const SUGGEST_LIMIT = 5;
+const MAX_SUGGEST_LIMIT = 10;
+
+// mongo error code of a query that ran out of maxTimeMS
+const MAX_TIME_EXPIRED = 50;
+
+// models a unified search can return, keyed by the result type
+// fields lists what is highlighted for each result
+const SEARCH_TYPES = {
+	video: {
+		model: Video,
+		filter: {},
+		select: "-__v -comments",
+		populate: [
+			{
+				path: "channel",
+				select: "_id username subscriber avatar",
+			},
+		],
+		fields: ["title", "tag", "description"],
+	},
+	channel: {
+		model: Channel,
+		// suspended channels are hidden from search
+		filter: { suspended: { $ne: true } },
+		select: "_id username subscribers avatar about",
+		populate: [],
+		fields: ["username", "about"],
+	},
+	comment: {
+		model: Comment,
+		filter: {},
+		select: "-__v",
+		populate: [
+			{
+				path: "_channel_id",
+				select: "_id username subscriber avatar",
+			},
+			{
+				path: "_video_id",
+				select: "_id title",
+			},
+		],
+		fields: ["body"],
+	},
+};
+
+// most popular tags returned as a facet
+const TAG_FACET_LIMIT = 10;
+// last page of merged results, every type is loaded up to the requested page to merge them
+const MAX_MERGED_PAGE = 20;
+
+// Search videos, channels & comments at once
+/**
+ * @openapi
+ * /api/search:
+ *   get:
+ *     tags:
+ *      - search
+ *     summary: Search videos, channels and comments
+ *     description: Full-text search across video titles, tags & descriptions, channel usernames & about and comment bodies. Results of every type are merged and ranked by relevance, each one has a 'type'. Facets count the matches per type and the tags of matching videos, whatever 'type' is. Pass 'type' to only return results of one type.
+ *     parameters:
+ *          - in: query
+ *            name: q
+ *            required: true
+ *            type: string
+ *            description: The search query
+ *            example: pasta recipe
+ *          - in: query
+ *            name: type
+ *            type: string
+ *            enum: [video, channel, comment]
+ *            description: Only return results of this type
+ *          - in: query
+ *            name: page
+ *            type: integer
+ *            description: The page to select, 20 at most unless 'type' is passed
+ *            default: 0
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of results per page, 50 at most
+ *            default: 10
+ *     responses:
+ *       200:
+ *         description: Returns the matching results, most relevant first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  query:
+ *                      type: string
+ *                      example: pasta recipe
+ *                  type:
+ *                      type: string
+ *                      description: the type results are restricted to, or all
+ *                      example: all
+ *                  page:
+ *                      type: integer
+ *                      example: 0
+ *                  pages:
+ *                      type: integer
+ *                      example: 3
+ *                  facets:
+ *                      type: object
+ *                      properties:
+ *                          types:
+ *                              type: object
+ *                              description: number of matches per type
+ *                              properties:
+ *                                  video:
+ *                                      type: integer
+ *                                      example: 18
+ *                                  channel:
+ *                                      type: integer
+ *                                      example: 2
+ *                                  comment:
+ *                                      type: integer
+ *                                      example: 7
+ *                          tags:
+ *                              type: array
+ *                              description: most common tags of the matching videos
+ *                              items:
+ *                                  type: object
+ *                                  properties:
+ *                                      tag:
+ *                                          type: string
+ *                                          example: Food
+ *                                      count:
+ *                                          type: integer
+ *                                          example: 12
+ *                  results:
+ *                      type: array
+ *                      description: the matching videos, channels and comments
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              type:
+ *                                  type: string
+ *                                  enum: [video, channel, comment]
+ *                                  example: video
+ *                              _id:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9ed
+ *                              score:
+ *                                  type: number
+ *                                  description: relevance of the result to the query
+ *                                  example: 15.5
+ *                              highlights:
+ *                                  type: object
+ *                                  description: fields that matched as HTML escaped text, with matched words wrapped in mark tags
+ *                                  example:
+ *                                      title: Easy <mark>pasta</mark> <mark>recipe</mark>
+ *       400:
+ *         description: Missing or too long search query, unknown type, or a page past the last one.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Search query 'q' is required
+ *
+ *       500:
+ *         description: Internal error
+ *
+ */
+const search = async (req, res) => {
+	const query = String(req.query.q || "").trim();
+	const type = req.query.type;
+
+	if (!query || query.length > MAX_QUERY_LENGTH) {
+		return res.status(400).json({
+			message: query
+				? `Search query can't be longer than ${MAX_QUERY_LENGTH} characters`
+				: "Search query 'q' is required",
+		});
+	}
+
+	if (type !== undefined && !Object.hasOwn(SEARCH_TYPES, type)) {
+		return res.status(400).json({
+			message: `'type' must be one of ${Object.keys(SEARCH_TYPES).join(", ")}`,
+		});
+	}
+
+	// pagination, same as video search
+	const perPage = req.query.limit ? Math.min(50, Math.max(1, req.query.limit | 0)) : 10;
+	const page = Math.max(0, req.query.page | 0);
+
+	if (!type && page > MAX_MERGED_PAGE) {
+		return res.status(400).json({
+			message: `'page' can't be over ${MAX_MERGED_PAGE} without a 'type'`,
+		});
+	}
+
+	const text = { $text: { $search: query } };
+	const terms = searchTerms(query);
+	const types = type ? [type] : Object.keys(SEARCH_TYPES);
+
+	// find the best results of a type
+	// when types are merged, each one fills every page up to this one
+	// so the merged ranking is the same as searching one collection
+	const findResults = (name) => {
+		const { model, filter, select, populate } = SEARCH_TYPES[name];
+
+		return model
+			.find({ ...text, ...filter }, { score: { $meta: "textScore" } })
+			.populate(populate)
+			.select(select)
+			.sort({ score: { $meta: "textScore" }, _id: 1 })
+			.skip(type ? perPage * page : 0)
+			.limit(perPage * (type ? 1 : page + 1))
+			.lean();
+	};
+
+	try {
+		const [counts, tags] = await Promise.all([
+			Promise.all(
+				Object.entries(SEARCH_TYPES).map(([name, { model, filter }]) =>
+					model.countDocuments({ ...text, ...filter }).then((count) => [name, count])
+				)
+			),
+			Video.aggregate([
+				{ $match: text },
+				{ $match: { tag: { $nin: [null, ""] } } },
+				{ $group: { _id: "$tag", count: { $sum: 1 } } },
+				{ $sort: { count: -1, _id: 1 } },
+				{ $limit: TAG_FACET_LIMIT },
+				{ $project: { _id: 0, tag: "$_id", count: 1 } },
+			]),
+		]);
+
+		const typeCounts = Object.fromEntries(counts);
+		const resultsLength = types.reduce((total, name) => total + typeCounts[name], 0);
+		const pages = Math.ceil(resultsLength / perPage);
+
+		// don't load results for a page that can't have any
+		if (page > 0 && page >= pages) {
+			return res.status(400).json({
+				message: `'page' must be lower than ${pages}`,
+			});
+		}
+
+		const results = await Promise.all(types.map(findResults));
+
+		const merged = results
+			.flatMap((items, i) =>
+				items.map((item) => ({
+					type: types[i],
+					...item,
+					highlights: Object.fromEntries(
+						SEARCH_TYPES[types[i]].fields.map((field) => [
+							field,
+							highlight(item[field], terms),
+						])
+					),
+				}))
+			)
+			.sort((a, b) => b.score - a.score);
+
+		res.status(200).json({
+			query,
+			type: type || "all",
+			page: page,
+			pages,
+			facets: {
+				types: typeCounts,
+				tags,
+			},
+			results: type ? merged : merged.slice(perPage * page, perPage * (page + 1)),
+		});
+	} catch (err) {
+		console.error(err);
+		res.status(500).json(err);
+	}
+};
+
+// Suggest videos, tags & channels starting with a prefix
+/**
+ * @openapi
+ * /api/search/suggest:
+ *   get:
+ *     tags:
+ *      - search
+ *     summary: Suggest completions for a search box
+ *     description: Retrieve video titles, tags and channel usernames starting with the query, grouped by type. Matching ignores the casing of the first letter or of the whole query. Each group is looked up within a tight time limit, if one runs out of time it is returned empty and 'partial' is true.
+ *     parameters:
+ *          - in: query
+ *            name: q
+ *            required: true
+ *            type: string
+ *            description: The text typed so far
+ *            example: cook
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of suggestions per type, 10 at most
+ *            default: 5
+ *     responses:
+ *       200:
+ *         description: Returns suggestions grouped by type.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  query:
+ *                      type: string
+ *                      example: cook
+ *                  partial:
+ *                      type: boolean
+ *                      description: true if a group ran out of time and is incomplete
+ *                      example: false
+ *                  suggestions:
+ *                      type: object
+ *                      properties:
+ *                          videos:
+ *                              type: array
+ *                              items:
+ *                                  type: object
+ *                                  properties:
+ *                                      _id:
+ *                                          type: string
+ *                                          example: 653d699d13d7c3d86a91c9ed
+ *                                      title:
+ *                                          type: string
+ *                                          example: Cooking pasta at home
+ *                          tags:
+ *                              type: array
+ *                              items:
+ *                                  type: object
+ *                                  properties:
+ *                                      tag:
+ *                                          type: string
+ *                                          example: Cooking
+ *                                      videos:
+ *                                          type: integer
+ *                                          description: number of videos with the tag
+ *                                          example: 12
+ *                          channels:
+ *                              type: array
+ *                              items:
+ *                                  type: object
+ *                                  properties:
+ *                                      _id:
+ *                                          type: string
+ *                                          example: 653d699d13d7c3d86a91c9f1
+ *                                      username:
+ *                                          type: string
+ *                                          example: CookingWithDiana
+ *                                      avatar:
+ *                                          type: string
+ *                                          example: https://avatars.githubusercontent.com/u/16180050
+ *       400:
+ *         description: Missing or too long search query.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Search query 'q' is required
+ *
+ *       500:
+ *         description: Internal error
+ *
+ */
+const suggest = async (req, res) => {
+	const query = String(req.query.q || "").trim();
+
+	if (!query || query.length > MAX_QUERY_LENGTH) {
+		return res.status(400).json({
+			message: query
+				? `Search query can't be longer than ${MAX_QUERY_LENGTH} characters`
+				: "Search query 'q' is required",
+		});
+	}
+
+	const limit = req.query.limit
+		? Math.min(MAX_SUGGEST_LIMIT, Math.max(1, req.query.limit | 0))
+		: SUGGEST_LIMIT;
+	const patterns = prefixPatterns(query);
+
+	const results = await Promise.allSettled([
+		Video.find({ title: { $in: patterns } })
+			.select("_id title")
+			.sort({ title: 1 })
+			.limit(limit)
+			.maxTimeMS(SUGGEST_TIME_LIMIT)
+			.lean(),
+		Video.aggregate([
+			{ $match: { tag: { $in: patterns } } },
+			{ $group: { _id: "$tag", videos: { $sum: 1 } } },
+			{ $sort: { videos: -1, _id: 1 } },
+			{ $limit: limit },
+			{ $project: { _id: 0, tag: "$_id", videos: 1 } },
+		]).option({ maxTimeMS: SUGGEST_TIME_LIMIT }),
+		// suspended channels are hidden from suggestions, like from search
+		Channel.find({ username: { $in: patterns }, suspended: { $ne: true } })
+			.select("_id username avatar")
+			.sort({ username: 1 })
+			.limit(limit)
+			.maxTimeMS(SUGGEST_TIME_LIMIT)
+			.lean(),
+	]);
+
+	const failed = results.find(
+		(result) =>
+			result.status === "rejected" && result.reason.code !== MAX_TIME_EXPIRED
+	);
+
+	if (failed) {
+		console.error(failed.reason);
+		return res.status(500).json(failed.reason);
+	}
+
+	const [videos, tags, channels] = results.map((result) =>
+		result.status === "fulfilled" ? result.value : []
+	);
+
+	// suggestions change slowly, let the browser reuse them while typing
+	res.set("Cache-Control", "public, max-age=60");
+
+	return res.status(200).json({
+		query,
+		partial: results.some((result) => result.status === "rejected"),
+		suggestions: {
+			videos,
+			tags,
+			channels,
+		},
+	});
+};
+
+module.exports = {
+	search,
+	suggest,
+};
@@ -0,0 +1,135 @@
+const Session = require("../Models/session.model");
+const { revokeSession } = require("../config/tokens");
+
+// list active sessions of the logged in channel
+/**
+ * @openapi
+ * /api/channels/sessions:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - sessions
+ *     summary: Retrieve the channel's active sessions
+ *     description: Retrieve every device the logged in channel is signed in on, most recently used first.
+ *     responses:
+ *       200:
+ *         description: Returns a list of sessions.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                  type: object
+ *                  properties:
+ *                      _id:
+ *                          type: string
+ *                          example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                      userAgent:
+ *                          type: string
+ *                          example: Mozilla/5.0 (Windows NT 10.0; Win64; x64)
+ *                      ip:
+ *                          type: string
+ *                          example: 127.0.0.1
+ *                      current:
+ *                          type: boolean
+ *                          description: whether this is the session making the request
+ *                          example: true
+ *                      createdAt:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-18T07:07:14.036Z
+ *                      lastUsedAt:
+ *                          type: string
+ *                          format: date
+ *                          example: 2023-05-18T07:07:14.036Z
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const index = (req, res) => {
+	Session.find({
+		channel: req.channel._id,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	})
+		.select("_id userAgent ip createdAt lastUsedAt")
+		.sort({ lastUsedAt: -1 })
+		.lean()
+		.then((sessions) => {
+			res.status(200).json(
+				sessions.map((session) => ({
+					...session,
+					current: String(session._id) === String(req.channel.sid),
+				}))
+			);
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// sign out a session
+/**
+ * @openapi
+ * /api/channels/sessions/{id}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - sessions
+ *     summary: Sign out a session
+ *     description: Revoke one of the logged in channel's sessions. Its access & refresh tokens stop working straight away.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The session ObjectID
+ *     responses:
+ *       200:
+ *         description: session signed out
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Session 6564a2f1c3b2a1f0e9d8c7b6 has been signed out
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: session not found
+ *
+ */
+const destroy = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const session = await revokeSession(req.channel._id, id);
+
+		if (!session) {
+			return res.status(404).json({
+				message: `Session ${id} not found!`,
+			});
+		}
+
+		return res.status(200).json({
+			message: `Session ${id} has been signed out`,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Session ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+module.exports = {
+	index,
+	destroy,
+};
@@ -0,0 +1,502 @@
+const Channel = require("../Models/channel.model");
+const audit = require("../config/audit");
+const {
+	generateSecret,
+	otpauthUri,
+	verifyTotp,
+	generateRecoveryCodes,
+} = require("../config/totp");
+const {
+	hashToken,
+	clientInfo,
+	startSession,
+	verifyChallengeToken,
+	revokeAccessToken,
+} = require("../config/tokens");
+const {
+	reserveLoginAttempt,
+	releaseLoginAttempt,
+	recordLoginFailure,
+	clearLoginFailures,
+} = require("../config/loginThrottle");
+
+const SECRET_FIELDS =
+	"+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+// check a TOTP or recovery code for a channel with 2FA enabled
+// resolves with "totp" or "recovery" when the code was accepted, or null
+// accepted codes are used up atomically so they can't be replayed
+const checkSecondFactor = async (channel, code) => {
+	code = String(code || "").trim();
+
+	const step = verifyTotp(
+		channel.twoFactor.secret,
+		code,
+		channel.twoFactor.lastUsedStep ?? -1
+	);
+
+	if (step !== null) {
+		const result = await Channel.updateOne(
+			{
+				_id: channel._id,
+				$or: [
+					{ "twoFactor.lastUsedStep": { $lt: step } },
+					{ "twoFactor.lastUsedStep": { $exists: false } },
+				],
+			},
+			{ "twoFactor.lastUsedStep": step }
+		);
+
+		return result.modifiedCount === 1 ? "totp" : null;
+	}
+
+	const result = await Channel.updateOne(
+		{ _id: channel._id, "twoFactor.recoveryCodes": hashToken(code.toLowerCase()) },
+		{ $pull: { "twoFactor.recoveryCodes": hashToken(code.toLowerCase()) } }
+	);
+
+	return result.modifiedCount === 1 ? "recovery" : null;
+};
+
+// start enrolling in 2FA
+/**
+ * @openapi
+ * /api/channels/2fa/enroll:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - two-factor
+ *     summary: Start enrolling in two-factor authentication
+ *     description: Generate a TOTP secret for an authenticator app. 2FA is only enabled after a code is sent to /api/channels/2fa/confirm.
+ *     responses:
+ *       200:
+ *         description: Returns the secret and otpauth URI.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  secret:
+ *                      type: string
+ *                      description: base32 TOTP secret, for entering into an authenticator app by hand
+ *                      example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                  otpauthUri:
+ *                      type: string
+ *                      description: uri to show as a QR code
+ *                      example: otpauth://totp/YouTube%20API%3Asam.scott%40gmail.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=YouTube%20API&algorithm=SHA1&digits=6&period=30
+ *       400:
+ *         description: 2FA is already enabled
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const enrollTwoFactor = async (req, res) => {
+	try {
+		const channel = await Channel.findById(req.channel._id);
+
+		if (!channel) {
+			return res.status(404).json({
+				message: "Channel does not exist!",
+			});
+		}
+
+		if (channel.twoFactor?.enabled) {
+			return res.status(400).json({
+				message: "Two-factor authentication is already enabled",
+			});
+		}
+
+		const secret = generateSecret();
+
+		await Channel.findByIdAndUpdate(channel._id, {
+			"twoFactor.pendingSecret": secret,
+		});
+
+		return res.status(200).json({
+			secret,
+			otpauthUri: otpauthUri(secret, channel.email),
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// confirm 2FA enrollment
+/**
+ * @openapi
+ * /api/channels/2fa/confirm:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - two-factor
+ *     summary: Confirm two-factor authentication
+ *     description: Enable 2FA by sending a code from the authenticator app. Returns recovery codes that are only shown once.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      code:
+ *                          type: string
+ *                          required: true
+ *                          description: 6 digit code from the authenticator app
+ *                          example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  enabled:
+ *                      type: boolean
+ *                      example: true
+ *                  recoveryCodes:
+ *                      type: array
+ *                      description: one-time codes to log in without the authenticator app
+ *                      items:
+ *                          type: string
+ *                          example: 4f1a-9c2e
+ *       400:
+ *         description: invalid code or enrollment not started
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const confirmTwoFactor = async (req, res) => {
+	try {
+		const channel = await Channel.findById(req.channel._id).select(SECRET_FIELDS);
+
+		if (!channel || !channel.twoFactor?.pendingSecret) {
+			return res.status(400).json({
+				message: "Start enrolling in two-factor authentication first",
+			});
+		}
+
+		const step = verifyTotp(channel.twoFactor.pendingSecret, req.body.code);
+
+		if (step === null) {
+			return res.status(400).json({
+				message: "Invalid code",
+			});
+		}
+
+		const recoveryCodes = generateRecoveryCodes();
+
+		await Channel.findByIdAndUpdate(channel._id, {
+			$set: {
+				"twoFactor.enabled": true,
+				"twoFactor.secret": channel.twoFactor.pendingSecret,
+				"twoFactor.lastUsedStep": step,
+				"twoFactor.recoveryCodes": recoveryCodes.map(hashToken),
+			},
+			$unset: { "twoFactor.pendingSecret": "" },
+		});
+
+		await audit("2fa.enabled", { channel: channel._id, actor: channel._id, ip: req.ip });
+
+		return res.status(200).json({
+			enabled: true,
+			recoveryCodes,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// disable 2FA
+/**
+ * @openapi
+ * /api/channels/2fa/disable:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - two-factor
+ *     summary: Disable two-factor authentication
+ *     description: Disable 2FA. Requires the channel's password and a code from the authenticator app or a recovery code.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      password:
+ *                          type: string
+ *                          required: true
+ *                          format: password
+ *                          example: secret0123
+ *                      code:
+ *                          type: string
+ *                          required: true
+ *                          description: 6 digit code or a recovery code
+ *                          example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      enabled:
+ *                          type: boolean
+ *                          example: false
+ *       400:
+ *         description: 2FA is not enabled
+ *       401:
+ *         description: invalid password or code
+ *
+ */
+const disableTwoFactor = async (req, res) => {
+	const { password, code } = req.body;
+
+	try {
+		const channel = await Channel.findById(req.channel._id).select(SECRET_FIELDS);
+
+		if (!channel || !channel.twoFactor?.enabled) {
+			return res.status(400).json({
+				message: "Two-factor authentication is not enabled",
+			});
+		}
+
+		if (
+			!password ||
+			!channel.comparePassword(password) ||
+			!(await checkSecondFactor(channel, code))
+		) {
+			return res.status(401).json({
+				message: "Invalid password or code",
+			});
+		}
+
+		await Channel.findByIdAndUpdate(channel._id, {
+			$set: { "twoFactor.enabled": false },
+			$unset: {
+				"twoFactor.secret": "",
+				"twoFactor.pendingSecret": "",
+				"twoFactor.lastUsedStep": "",
+				"twoFactor.recoveryCodes": "",
+			},
+		});
+
+		await audit("2fa.disabled", { channel: channel._id, actor: channel._id, ip: req.ip });
+
+		return res.status(200).json({
+			enabled: false,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// replace recovery codes
+/**
+ * @openapi
+ * /api/channels/2fa/recovery-codes:
+ *   post:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - two-factor
+ *     summary: Regenerate recovery codes
+ *     description: Replace the recovery codes of the channel. Requires a code from the authenticator app or a recovery code. Old recovery codes stop working.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      code:
+ *                          type: string
+ *                          required: true
+ *                          description: 6 digit code or a recovery code
+ *                          example: "123456"
+ *     responses:
+ *       200:
+ *         description: Returns the new recovery codes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  recoveryCodes:
+ *                      type: array
+ *                      items:
+ *                          type: string
+ *                          example: 4f1a-9c2e
+ *       400:
+ *         description: 2FA is not enabled
+ *       401:
+ *         description: invalid code
+ *
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+	try {
+		const channel = await Channel.findById(req.channel._id).select(SECRET_FIELDS);
+
+		if (!channel || !channel.twoFactor?.enabled) {
+			return res.status(400).json({
+				message: "Two-factor authentication is not enabled",
+			});
+		}
+
+		if (!(await checkSecondFactor(channel, req.body.code))) {
+			return res.status(401).json({
+				message: "Invalid code",
+			});
+		}
+
+		const recoveryCodes = generateRecoveryCodes();
+
+		await Channel.findByIdAndUpdate(channel._id, {
+			"twoFactor.recoveryCodes": recoveryCodes.map(hashToken),
+		});
+
+		return res.status(200).json({
+			recoveryCodes,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// complete a login for a channel with 2FA
+/**
+ * @openapi
+ * /api/channels/2fa/verify:
+ *   post:
+ *     tags:
+ *      - two-factor
+ *     summary: Complete a two-factor login
+ *     description: Exchange the challenge token returned by login and a code from the authenticator app, or a recovery code, for the access & refresh token.
+ *     requestBody:
+ *      content:
+ *          multipart/form-data:
+ *              schema:
+ *                  type: object
+ *                  properties:
+ *                      challengeToken:
+ *                          type: string
+ *                          required: true
+ *                          description: the challenge token returned by login
+ *                      code:
+ *                          type: string
+ *                          required: true
+ *                          description: 6 digit code or a recovery code
+ *                          example: "123456"
+ *     responses:
+ *       200:
+ *         description: Returns the channel with its access token, same as login.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  _id:
+ *                      type: string
+ *                      example: 653d699d13d7c3d86a91c9ed
+ *                  username:
+ *                      type: string
+ *                      example: Diana01
+ *                  avatar:
+ *                      type: string
+ *                      example: https://avatars.githubusercontent.com/u/16180050
+ *                  token:
+ *                      type: string
+ *                      example: token
+ *                  refreshToken:
+ *                      type: string
+ *                      example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *       401:
+ *         description: invalid or expired challenge token, or invalid code
+ *       429:
+ *         description: too many failed logins
+ *
+ */
+const verifyTwoFactor = async (req, res) => {
+	const { challengeToken, code } = req.body;
+
+	try {
+		const challenge = challengeToken && (await verifyChallengeToken(challengeToken));
+
+		if (!challenge) {
+			return res.status(401).json({
+				msg: "Invalid or expired challenge token",
+			});
+		}
+
+		const channel = await Channel.findById(challenge._id).select(SECRET_FIELDS);
+
+		if (!channel || channel.suspended || !channel.twoFactor?.enabled) {
+			return res.status(401).json({
+				msg: "Invalid or expired challenge token",
+			});
+		}
+
+		// codes count towards the same limits as passwords
+		const attempt = { email: channel.email, ip: req.ip };
+		const { allowed, retryAfter } = await reserveLoginAttempt(attempt);
+
+		if (!allowed) {
+			res.set("Retry-After", String(retryAfter));
+
+			return res.status(429).json({
+				msg: "Too many failed logins. Try again later",
+				retryAfter,
+			});
+		}
+
+		const method = await checkSecondFactor(channel, code);
+
+		if (!method) {
+			await recordLoginFailure({ ...attempt, channel });
+
+			return res.status(401).json({
+				msg: "Invalid code",
+			});
+		}
+
+		await releaseLoginAttempt(attempt);
+
+		if (method === "recovery") {
+			await audit("2fa.recovery_code_used", {
+				channel: channel._id,
+				actor: channel._id,
+				ip: req.ip,
+			});
+		}
+
+		// a challenge can only complete one login
+		await revokeAccessToken(challenge);
+		await clearLoginFailures(channel.email);
+
+		const { token, refreshToken } = await startSession(channel, clientInfo(req));
+
+		return res.status(200).json({
+			_id: channel._id,
+			username: channel.username,
+			avatar: channel.avatar,
+			token,
+			refreshToken,
+		});
+	} catch (err) {
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+module.exports = {
+	enrollTwoFactor,
+	confirmTwoFactor,
+	disableTwoFactor,
+	regenerateRecoveryCodes,
+	verifyTwoFactor,
+};
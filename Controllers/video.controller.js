@@ -1,9 +1,30 @@
 const Video = require("../Models/video.model");
 const Comment = require("../Models/comment.model");
 const Channel = require("../Models/channel.model");
+const WatchProgress = require("../Models/watchProgress.model");
+const WatchHistory = require("../Models/watchHistory.model");
+const Playlist = require("../Models/playlist.model");
+const Notification = require("../Models/notification.model");
+const PendingView = require("../Models/pendingView.model");
 const deleteImage = require("../config/ImageDelete");
 const data = require("../data.json");
 const { faker } = require("@faker-js/faker");
+const { MAX_QUERY_LENGTH, searchTerms, highlight } = require("../config/search");
+const { parseVideoQuery } = require("../config/videoFilters");
+const {
+	parseLimit,
+	wantsCursor,
+	paginateByCursor,
+} = require("../config/pagination");
+const { clientInfo } = require("../config/tokens");
+const {
+	BURST_WINDOW,
+	recordView,
+	pendingViews,
+} = require("../config/viewCounter");
+const { addToHistory } = require("../config/watchHistory");
+const { isSubscribed } = require("../config/subscriptions");
+const { notify, notifySubscribers } = require("../config/notifications");
 
 /**
  * @openapi
@@ -14,6 +35,11 @@ const { faker } = require("@faker-js/faker");
  *          type: http
  *          scheme: bearer
  *          bearerFormat: JWT
+ *      apiKeyAuth:
+ *          type: apiKey
+ *          in: header
+ *          name: Authorization
+ *          description: "ApiKey {key}, created from /api/channels/api-keys"
  *
  */
 
@@ -25,23 +51,69 @@ const { faker } = require("@faker-js/faker");
  *     tags:
  *      - videos
  *     summary: Retrieve a list of videos
- *     description: Retrieve a list of paginated videos. Default to 10 videos per page. Can iterate through page using 'page' & 'limit' query
+ *     description: Retrieve a list of paginated videos. Default to 8 videos per page, iterate through pages using 'page'. Pass 'cursor', or 'paginate=cursor' for the first page, to iterate with the 'next' or 'prev' cursor of the response instead. Can be filtered and sorted, unknown query parameters are rejected.
  *     parameters:
  *          - in: query
  *            name: page
  *            type: integer
- *            description: The page to select
- *            default: 1
+ *            description: The page to select, starting from 0
+ *            default: 0
+ *          - in: query
+ *            name: paginate
+ *            type: string
+ *            enum: [cursor]
+ *            description: Use cursor pagination from the first page
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
  *          - in: query
  *            name: limit
  *            type: integer
- *            description: The numbers of items to skip before showing the result
- *            default: 10
+ *            description: The numbers of videos per page
+ *            default: 8
  *          - in: query
  *            name: comment_limit
  *            type: integer
  *            description: The numbers of comment to show
  *            default: 10
+ *          - in: query
+ *            name: tag
+ *            type: string
+ *            description: Only show videos with this tag
+ *            example: Food
+ *          - in: query
+ *            name: channel
+ *            type: string
+ *            description: Only show videos of this channel ObjectID
+ *          - in: query
+ *            name: min_duration
+ *            type: integer
+ *            description: Shortest duration in seconds
+ *          - in: query
+ *            name: max_duration
+ *            type: integer
+ *            description: Longest duration in seconds
+ *          - in: query
+ *            name: uploaded_after
+ *            type: string
+ *            format: date
+ *            description: Only show videos uploaded on or after this date
+ *            example: 2023-01-01
+ *          - in: query
+ *            name: uploaded_before
+ *            type: string
+ *            format: date
+ *            description: Only show videos uploaded on or before this date
+ *          - in: query
+ *            name: min_views
+ *            type: integer
+ *            description: Only show videos with at least this many views
+ *          - in: query
+ *            name: sort
+ *            type: string
+ *            enum: [newest, oldest, most_viewed, most_liked, longest]
+ *            description: The order of the videos
  *     responses:
  *       200:
  *         description: Returns a list of videos.
@@ -50,13 +122,23 @@ const { faker } = require("@faker-js/faker");
  *             schema:
  *               type: object
  *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page, with cursor pagination only
+ *                      example: eyJzIjoiX2lkOjEiLCJkIjoibmV4dCIsInYiOlsiNjUzZDY5OWQxM2Q3YzNkODZhOTFjOWVkIl19
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page, with cursor pagination only
+ *                      example: null
  *                  page:
  *                      type: integer
- *                      description: The current page number of video list
+ *                      description: The current page number of video list, without cursor pagination
  *                      example: 1
  *                  pages:
  *                      type: integer
- *                      description: The amount of pages
+ *                      description: The amount of pages, without cursor pagination
  *                      example: 136
  *                  videos:
  *                      type: array
@@ -162,6 +244,19 @@ const { faker } = require("@faker-js/faker");
  *                                  type: integer
  *                                  description: the views of the video
  *                                  example: 100000
+ *       400:
+ *         description: Unknown or invalid query parameters.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Invalid query parameters
+ *                      errors:
+ *                          type: array
+ *                          items:
+ *                              example: Unknown query parameter 'foo'
  *       404:
  *         description: No videos found.
  *         content:
@@ -186,15 +281,29 @@ const { faker } = require("@faker-js/faker");
  *
  */
 const index = (req, res) => {
+	// filters & sorting, unknown or invalid parameters are rejected
+	const { errors, filter, sort } = parseVideoQuery(req.query, [
+		"page",
+		"limit",
+		"comment_limit",
+		"cursor",
+		"paginate",
+	]);
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			message: "Invalid query parameters",
+			errors,
+		});
+	}
+
 	// pagination and related queries
 	const commentLimit = req.query.comment_limit
 		? Math.max(10, req.query.comment_limit)
 		: 10;
-	const perPage = req.query.limit ? Math.max(8, req.query.limit) : 8;
-	const page = req.query.page ? Math.max(0, req.query.page) : 0;
 
-	// find all videos in DB
-	Video.find()
+	// find all matching videos in DB
+	const query = Video.find(filter)
 		// connect and populate relationships
 		.populate([
 			{
@@ -207,20 +316,52 @@ const index = (req, res) => {
 				limit: commentLimit,
 			},
 		])
-		.select("-__v -createdAt")
+		.select("-__v");
+
+	// page numbers by default, cursors when asked for
+	if (wantsCursor(req.query)) {
+		return paginateByCursor(query, {
+			sort,
+			limit: parseLimit(req.query.limit, 8),
+			cursor: req.query.cursor,
+		})
+			.then(({ items, next, prev }) => {
+				res.status(200).json({
+					next,
+					prev,
+					videos: items,
+				});
+			})
+			.catch((err) => {
+				if (err.name === "CursorError") {
+					return res.status(400).json({
+						message: err.message,
+					});
+				}
+
+				console.error(err);
+				res.status(500).json(err);
+			});
+	}
+
+	const perPage = req.query.limit ? Math.max(8, req.query.limit) : 8;
+	const page = Math.max(0, req.query.page) || 0;
+
+	query
+		.sort(sort)
 		// limit amount of data shown
 		// by adding pagination
 		.limit(perPage)
 		.skip(perPage * page)
 		.then(async (videos) => {
-			// get length of video array and use it for pagination numbering
-			let videosLength = Math.max(await Video.estimatedDocumentCount(), 8);
+			// count matching videos and use it for pagination numbering
+			const videosLength = await Video.countDocuments(filter);
 			// if collection contains documents
 			// returns 200 status
 			if (videos.length > 0) {
 				res.status(200).json({
 					page: page,
-					pages: Math.floor(videosLength / perPage),
+					pages: Math.ceil(videosLength / perPage),
 					videos,
 				});
 			} else {
@@ -243,7 +384,7 @@ const index = (req, res) => {
  *     tags:
  *      - videos
  *     summary: Retrieve a random list of videos
- *     description: Retrieve a list of paginated videos. Default to 10 videos per page. Can iterate through page using 'page' & 'limit' query
+ *     description: Retrieve a list of paginated videos. Default to 10 videos per page. Can iterate through page using 'page' & 'limit' query. Can be filtered and sorted, unknown query parameters are rejected.
  *     parameters:
  *          - in: query
  *            name: page
@@ -436,15 +577,169 @@ const random = async (req, res) => {
 		});
 };
 
+// Search videos
+/**
+ * @openapi
+ * /api/videos/search:
+ *   get:
+ *     tags:
+ *      - videos
+ *     summary: Search videos
+ *     description: Search videos by title, tag and description, ranked by relevance. Matches in the title weigh the most, then the tag, then the description. Matched words are wrapped in mark tags in 'highlights'. Uses the same pagination as /api/videos.
+ *     parameters:
+ *          - in: query
+ *            name: q
+ *            type: string
+ *            required: true
+ *            description: The search query
+ *            example: pasta recipe
+ *          - in: query
+ *            name: page
+ *            type: integer
+ *            description: The page to select
+ *            default: 0
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of videos per page
+ *            default: 8
+ *     responses:
+ *       200:
+ *         description: Returns a list of matching videos, most relevant first.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  page:
+ *                      type: integer
+ *                      description: The current page number of video list
+ *                      example: 0
+ *                  pages:
+ *                      type: integer
+ *                      description: The amount of pages
+ *                      example: 3
+ *                  videos:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              _id:
+ *                                  type: string
+ *                                  example: 653d699d13d7c3d86a91c9ed
+ *                              title:
+ *                                  type: string
+ *                                  example: Easy pasta recipe
+ *                              tag:
+ *                                  type: string
+ *                                  example: Food
+ *                              score:
+ *                                  type: number
+ *                                  description: relevance of the video to the query
+ *                                  example: 15.5
+ *                              highlights:
+ *                                  type: object
+ *                                  description: fields that matched as HTML escaped text, with matched words wrapped in mark tags
+ *                                  properties:
+ *                                      title:
+ *                                          type: string
+ *                                          example: Easy <mark>pasta</mark> <mark>recipe</mark>
+ *                                      tag:
+ *                                          type: string
+ *                                          nullable: true
+ *                                          example: null
+ *                                      description:
+ *                                          type: string
+ *                                          example: …the best <mark>pasta</mark> you&#39;ll ever make…
+ *                              channel:
+ *                                  type: object
+ *                                  properties:
+ *                                      _id:
+ *                                          type: string
+ *                                          example: 653d699d13d7c3d86a91c9f1
+ *                                      username:
+ *                                          type: string
+ *                                          example: Diana01
+ *                                      avatar:
+ *                                          type: string
+ *                                          example: https://avatars.githubusercontent.com/u/16180050
+ *       400:
+ *         description: Missing or too long search query.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Search query 'q' is required
+ *
+ *       500:
+ *         description: Internal error
+ *
+ */
+const search = async (req, res) => {
+	const query = String(req.query.q || "").trim();
+
+	if (!query || query.length > MAX_QUERY_LENGTH) {
+		return res.status(400).json({
+			message: query
+				? `Search query can't be longer than ${MAX_QUERY_LENGTH} characters`
+				: "Search query 'q' is required",
+		});
+	}
+
+	// pagination, same as index
+	const perPage = req.query.limit ? Math.min(50, Math.max(1, req.query.limit)) : 8;
+	const page = req.query.page ? Math.max(0, req.query.page) : 0;
+
+	const filter = { $text: { $search: query } };
+	const terms = searchTerms(query);
+
+	try {
+		const [videos, videosLength] = await Promise.all([
+			Video.find(filter, { score: { $meta: "textScore" } })
+				.populate({
+					path: "channel",
+					select: "_id username subscriber avatar",
+				})
+				.select("-__v -comments")
+				.sort({ score: { $meta: "textScore" }, _id: 1 })
+				.limit(perPage)
+				.skip(perPage * page)
+				.lean(),
+			Video.countDocuments(filter),
+		]);
+
+		res.status(200).json({
+			page: page,
+			pages: Math.ceil(videosLength / perPage),
+			videos: videos.map((video) => ({
+				...video,
+				highlights: {
+					title: highlight(video.title, terms),
+					tag: highlight(video.tag, terms),
+					description: highlight(video.description, terms),
+				},
+			})),
+		});
+	} catch (err) {
+		console.error(err);
+		res.status(500).json(err);
+	}
+};
+
 // Show Video By Id
 /**
  * @openapi
  * /api/videos/{id}:
  *   get:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
  *     tags:
  *      - videos
  *     summary: Retrieve the video with a specific ObjectID
- *     description: Retrieve the video with a specific ObjectID.
+ *     description: Retrieve the video with a specific ObjectID. When a bearer token is sent, the response includes whether the viewer liked the video or subscribed to its channel.
  *     parameters:
  *          - in: path
  *            name: id
@@ -563,6 +858,19 @@ const random = async (req, res) => {
  *                      type: integer
  *                      description: the views of the video
  *                      example: 100000
+ *                  viewer:
+ *                      type: object
+ *                      description: only included when a valid bearer token is sent
+ *                      properties:
+ *                          liked:
+ *                              type: boolean
+ *                              example: true
+ *                          disliked:
+ *                              type: boolean
+ *                              example: false
+ *                          subscribed:
+ *                              type: boolean
+ *                              example: false
  *       404:
  *         description: No videos found.
  *         content:
@@ -607,13 +915,40 @@ const show = (req, res) => {
 			},
 		])
 		.select("-__v -createdAt")
-		.then((video) => {
+		.then(async (video) => {
 			// if video doesn't exist return 404
 			if (!video)
-				res.status(404).json({
+				return res.status(404).json({
 					message: `Video ${id} not found!`,
 				});
 
+			// include views counted but not written yet
+			video.views += await pendingViews(video._id);
+
+			// personalise response for a logged in viewer
+			if (req.channel) {
+				const viewer = await Channel.findById(req.channel._id).select(
+					"liked disliked"
+				);
+
+				if (viewer) {
+					const includesId = (ids, id) =>
+						ids.some((item) => String(item) === String(id));
+
+					return res.status(200).json({
+						...video.toJSON(),
+						viewer: {
+							liked: includesId(viewer.liked, video._id),
+							disliked: includesId(viewer.disliked, video._id),
+							subscribed: await isSubscribed(
+								viewer._id,
+								video.channel?._id
+							),
+						},
+					});
+				}
+			}
+
 			// return video
 			res.status(200).json(video);
 		})
@@ -630,15 +965,15 @@ const show = (req, res) => {
 		});
 };
 
-// Show Video By Id
+// Show the comments of a video
 /**
  * @openapi
- * /api/videos/{id}:
+ * /api/videos/{id}/comments:
  *   get:
  *     tags:
  *      - videos
- *     summary: Retrieve the video with a specific ObjectID
- *     description: Retrieve the video with a specific ObjectID.
+ *     summary: Retrieve the comments of a video
+ *     description: Retrieve the top level comments of the video with a specific ObjectID, oldest first, with the ObjectIDs of their replies in 'children'. Default to 10 comments per page, iterate through pages using 'page'. Pass 'cursor', or 'paginate=cursor' for the first page, to iterate with the 'next' or 'prev' cursor of the response instead.
  *     parameters:
  *          - in: path
  *            name: id
@@ -646,50 +981,48 @@ const show = (req, res) => {
  *            description: The video ObjectID
  *            default: 653c303970f555b2245cf569
  *          - in: query
- *            name: comment_limit
+ *            name: page
  *            type: integer
- *            description: The numbers of comments to show
+ *            description: The page to select, starting from 0
+ *            default: 0
+ *          - in: query
+ *            name: paginate
+ *            type: string
+ *            enum: [cursor]
+ *            description: Use cursor pagination from the first page
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of comments per page
  *            default: 10
  *     responses:
  *       200:
- *         description: Returns the video with the same ObjectID.
+ *         description: Returns a page of comments.
  *         content:
  *           application/json:
  *             schema:
- *              type: object
- *              properties:
- *                  _id:
- *                      type: string
- *                      description: The video objectID.
- *                      example: 653d699d13d7c3d86a91c9ed
- *                  title:
- *                      type: string
- *                      description: The video's title.
- *                      example: This is a title of the video.
- *                  url:
- *                      type: string
- *                      description: The video's url.
- *                      example: /watch?v=xt4SsI6xcss
- *                  tag:
- *                      type: string
- *                      description: The video's tag.
- *                      example: Food
- *                  description:
- *                      type: string
- *                      description: The description of the video.
- *                      example: Lorem ipsum.
- *                  likes:
+ *               type: object
+ *               properties:
+ *                  page:
  *                      type: integer
- *                      description: number of likes in the video.
- *                      example: 100
- *                  dislikes:
+ *                      description: The current page number, without cursor pagination
+ *                      example: 0
+ *                  pages:
  *                      type: integer
- *                      description: number of dislikes in the video.
- *                      example: 2
- *                  thumbnail:
+ *                      description: The amount of pages, without cursor pagination
+ *                      example: 3
+ *                  next:
  *                      type: string
- *                      description: video's thumbnail url.
- *                      example: https://picsum.photos/640/320/?random&t=1670360628221
+ *                      nullable: true
+ *                      description: cursor of the next page, with cursor pagination only
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, with cursor pagination only
  *                  comments:
  *                      type: array
  *                      items:
@@ -700,13 +1033,8 @@ const show = (req, res) => {
  *                                  description: Comment ObjectId.
  *                                  example: 653d699d13d7c3d86a91c9f1
  *                              _channel_id:
- *                                  type: string
- *                                  description: ObjectID of the channel that posted the comment.
- *                                  example: 653d699d13d7c3d86a91c9f1
- *                              _video_id:
- *                                  type: string
- *                                  description: ObjectID of the video that comment is posted on.
- *                                  example: 653d699d13d7c3d86a91c9f1
+ *                                  type: object
+ *                                  description: the channel that posted the comment.
  *                              body:
  *                                  type: string
  *                                  description: comment's body.
@@ -715,81 +1043,27 @@ const show = (req, res) => {
  *                                  type: integer
  *                                  description: number of likes in the comment.
  *                                  example: 25
- *                              dislikes:
- *                                  type: integer
- *                                  description: number of dislikes in the comment.
- *                                  example: 8
- *                              _parent_comment_id:
- *                                  type: string
- *                                  nullable: 'true'
- *                                  description: ObjectId of the parent comment if the comment has one.
- *                                  example: 653d699d13d7c3d86a91c9f1
- *                              createdAt:
- *                                  type: string
- *                                  format: date
- *                                  description: the date of which the video is created.
- *                                  example: 2023-10-28T20:06:08.226Z
- *                  channel:
- *                      type: object
- *                      properties:
- *                          _id:
- *                              type: string
- *                              description: ObjectID of the channel that posted the video.
- *                              example: 653d699d13d7c3d86a91c9f1
- *                          username:
- *                              type: string
- *                              description: channel's username.
- *                              example: Diana01
- *                          avatar:
- *                              type: string
- *                              description: channel's avatar url
- *                              example: https://avatars.githubusercontent.com/u/16180050
- *                  updatedAt:
- *                      type: string
- *                      format: date
- *                      description: the date the video is created/updated
- *                      example: 2023-05-18T07:07:14.036Z
- *                  duration:
- *                      type: integer
- *                      description: the duration of the video
- *                      example: 100
- *                  views:
- *                      type: integer
- *                      description: the views of the video
- *                      example: 100000
+ *                              children:
+ *                                  type: array
+ *                                  description: ObjectIDs of the replies, only if it has any.
+ *                                  items:
+ *                                      type: string
+ *                                      example: 653d699d13d7c3d86a91c9f1
+ *       400:
+ *         description: Invalid cursor.
  *       404:
  *         description: No videos found.
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      msg:
- *                          type: string
- *                          description: returned message.
- *                          example: video not found
  *
  *       500:
  *         description: Internal error
- *         content:
- *           application/json:
- *              schema:
- *                  properties:
- *                      errors:
- *                          type: array
- *                          items:
- *                              example: errors
  *
  */
-const showComments = (req, res) => {
+const showComments = async (req, res) => {
 	const id = req.params.id;
+	// top level comments, replies are listed in their parent's children
+	const filter = { _video_id: id, _parent_comment_id: null };
 
-	// query
-	// const commentLimit = req.query.comment_limit ? req.query.comment_limit : 10;
-
-	// console.log(commentLimit)
-
-	// find video from id
-	Comment.find({ _video_id: id })
+	const query = Comment.find(filter)
 		// connect and populate relationships
 		.populate([
 			{
@@ -798,57 +1072,169 @@ const showComments = (req, res) => {
 			},
 		])
 		.select("-__v")
-		.lean()
-		.then((comments) => {
-			// if video doesn't exist return 404
-			if (!comments)
-				res.status(404).json({
-					message: `Comments from Video ${id} not found!`,
-				});
+		.lean();
 
-			parentComments = comments.filter(
-				(comment) => typeof comment._parent_comment_id === "undefined"
-			);
-			childComments = comments.filter(
-				(comment) => typeof comment._parent_comment_id !== "undefined"
-			);
-
-			childComments.forEach((child) => {
-				const parentId = parentComments.findIndex(
-					(parent) =>
-						parent._id.toString() === child._parent_comment_id.toString()
-				);
+	// add the ids of the replies to the comments of a page
+	const withChildren = async (comments) => {
+		const children = await Comment.find({
+			_parent_comment_id: { $in: comments.map((comment) => comment._id) },
+		})
+			.select("_id _parent_comment_id")
+			.sort({ _id: 1 })
+			.lean();
 
-				// create children array in parentComments
-				if (typeof parentComments[parentId]?.children === "undefined") {
-					parentComments[parentId].children = [];
-				}
+		return comments.map((comment) => {
+			const ids = children
+				.filter((child) => String(child._parent_comment_id) === String(comment._id))
+				.map((child) => child._id);
 
-				if (child._id.toString() === "656f1fea30fd843ccd9900e2") {
-					console.log(child);
-				}
+			return ids.length > 0 ? { ...comment, children: ids } : comment;
+		});
+	};
 
-				// push child comments into parent
-				parentComments[parentId].children.push(child._id);
-				// console.log(parentComments[parentId])
+	try {
+		if (wantsCursor(req.query)) {
+			const { items, next, prev } = await paginateByCursor(query, {
+				sort: { _id: 1 },
+				limit: parseLimit(req.query.limit),
+				cursor: req.query.cursor,
 			});
 
-			// console.log(parentComments.filter(parent => typeof parent.children !== 'undefined')[0].children)
+			return res.status(200).json({
+				next,
+				prev,
+				comments: await withChildren(items),
+			});
+		}
 
-			// return video
-			res.status(200).json(parentComments);
-		})
-		.catch((err) => {
-			if (err.name === "CastError") {
-				console.error(err);
-				res.status(404).json({
-					message: `Comments from video ${id} not found!`,
-				});
-			} else {
-				console.error(err);
-				res.status(500).json(err);
-			}
+		const perPage = parseLimit(req.query.limit);
+		const page = Math.max(0, req.query.page | 0);
+
+		const [comments, commentsLength] = await Promise.all([
+			query.sort({ _id: 1 }).skip(perPage * page).limit(perPage),
+			Comment.countDocuments(filter),
+		]);
+
+		return res.status(200).json({
+			page,
+			pages: Math.ceil(commentsLength / perPage),
+			comments: await withChildren(comments),
 		});
+	} catch (err) {
+		if (err.name === "CursorError") {
+			return res.status(400).json({
+				message: err.message,
+			});
+		}
+
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Comments from video ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Record a view of a video
+/**
+ * @openapi
+ * /api/videos/{id}/view:
+ *   post:
+ *     security:
+ *      - {}
+ *      - bearerAuth: []
+ *     tags:
+ *      - videos
+ *     summary: Record a view of a video
+ *     description: Count a view of the video. A logged in channel, or a guest's IP & browser, is counted once per video every few hours. Views from crawlers and scripts are never counted, and an IP sending views too fast is rejected. Counted views are added to the video within a few seconds. The video is also added to a logged in channel's watch history, unless it's paused.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The video ObjectID
+ *            default: 653c303970f555b2245cf569
+ *     responses:
+ *       200:
+ *         description: Returns whether the view was counted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  counted:
+ *                      type: boolean
+ *                      example: true
+ *                  reason:
+ *                      type: string
+ *                      enum: [duplicate, bot]
+ *                      description: why the view wasn't counted, only included when it wasn't
+ *                  views:
+ *                      type: integer
+ *                      description: the video's view count, including this view
+ *                      example: 1043
+ *       404:
+ *         description: No videos found.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Video 653c303970f555b2245cf569 not found!
+ *       429:
+ *         description: Too many views sent from this IP, the Retry-After header tells when to try again.
+ *       500:
+ *         description: Internal error
+ *
+ */
+const view = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const video = await Video.findById(id).select("views");
+
+		if (!video) {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		const { counted, reason } = await recordView(
+			video._id,
+			clientInfo(req),
+			req.channel
+		);
+
+		if (reason === "burst") {
+			res.set("Retry-After", String(BURST_WINDOW / 1000));
+			return res.status(429).json({
+				message: "Too many views, try again later",
+			});
+		}
+
+		// rewatches are added to the history even when the view isn't counted again
+		if (req.channel && reason !== "bot") {
+			await addToHistory(req.channel._id, video._id);
+		}
+
+		return res.status(200).json({
+			counted,
+			reason,
+			views: video.views + (await pendingViews(video._id)),
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
 };
 
 // Liking a video
@@ -926,6 +1312,14 @@ const likeVideo = async (req, res) => {
     .then(channel => {
         Video.findByIdAndUpdate(id, { $inc: { likes: incrementOrDecrementByOne } })
         .then(video => {
+            // let the uploader know, unliking doesn't notify
+            if (video && hasLiked === -1) {
+                notify(video.channel, "video_like", {
+                    actor: req.channel._id,
+                    video: video._id,
+                });
+            }
+
             res.status(200).json({
                 message: `Video's Like has been updated.`,
                 type: hasLiked !== -1 ? 'decrement' : 'increment'
@@ -1192,6 +1586,11 @@ const create = async (req, res) => {
 						},
 					})
 						.then(() => {
+							// tell subscribers about the upload without holding up the response
+							notifySubscribers(channelId, "upload", {
+								video: newVideo._id,
+							});
+
 							// successful, returns created video
 							res.status(201).json(newVideo);
 						})
@@ -1321,6 +1720,15 @@ const create = async (req, res) => {
  *                      description: the views of the video
  *                      default: 0
  *
+ *       403:
+ *         description: the channel doesn't own the video
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: You don't have permission to modify this video!
  *       500:
  *         description: Internal error
  *         content:
@@ -1349,10 +1757,11 @@ const update = (req, res) => {
 		duration,
 		createdAt,
 		updatedAt,
+		...newForm
 	} = form;
 
 	//connect to model and retrieve video with specified id
-	Video.findByIdAndUpdate(id, form, {
+	Video.findByIdAndUpdate(id, newForm, {
 		new: true,
 	})
 		// return updated video
@@ -1413,6 +1822,15 @@ const update = (req, res) => {
  *                          type: array
  *                          items:
  *                              example: The video found
+ *       403:
+ *         description: the channel doesn't own the video
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: You don't have permission to modify this video!
  *       500:
  *         description: Internal error
  *         content:
@@ -1428,7 +1846,6 @@ const update = (req, res) => {
 const destroy = (req, res) => {
 	// assign id from request parameter called 'id'
 	let id = req.params.id;
-	let channel_id = req.channel._id;
 
 	Video.findByIdAndDelete(id)
 		.then((newVideo) => {
@@ -1439,7 +1856,8 @@ const destroy = (req, res) => {
 				});
 			} else {
 				// find and remove video id from the channel doc
-				Channel.findByIdAndUpdate(channel_id, {
+				// the video may belong to another channel when deleted by a moderator
+				Channel.findByIdAndUpdate(newVideo.channel, {
 					$pull: {
 						videos: newVideo._id,
 					},
@@ -1452,6 +1870,23 @@ const destroy = (req, res) => {
 							});
 						}
 
+						// forget where channels left off in the video & that they watched it
+						await WatchProgress.deleteMany({ video: newVideo._id });
+						await WatchHistory.deleteMany({ video: newVideo._id });
+						await Notification.deleteMany({ video: newVideo._id });
+						await PendingView.deleteMany({ video: newVideo._id });
+
+						// take the video out of every playlist it's in
+						await Playlist.updateMany(
+							{ videos: newVideo._id },
+							{
+								$pull: {
+									videos: newVideo._id,
+									additions: { video: newVideo._id },
+								},
+							}
+						);
+
 						// delete existing comments
 						// or return 200 response
 						await Comment.deleteMany({ _video_id: id })
@@ -1490,7 +1925,9 @@ const destroy = (req, res) => {
 module.exports = {
 	index,
 	random,
+	search,
 	show,
+	view,
 	showComments,
 	create,
 	update,
@@ -0,0 +1,641 @@
+const Video = require("../Models/video.model");
+const Channel = require("../Models/channel.model");
+const WatchProgress = require("../Models/watchProgress.model");
+const WatchHistory = require("../Models/watchHistory.model");
+const { parseLimit, paginateByCursor } = require("../config/pagination");
+
+// share of a video's duration after which it counts as watched
+const WATCHED_THRESHOLD = 0.9;
+
+// Show the playback position of a video
+/**
+ * @openapi
+ * /api/videos/{id}/progress:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Retrieve the playback position of a video
+ *     description: Retrieve where the logged in channel left off in the video, so playback can resume from there. A video that was never played starts at 0.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The video ObjectID
+ *            default: 653c303970f555b2245cf569
+ *     responses:
+ *       200:
+ *         description: Returns the playback position.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  video:
+ *                      type: string
+ *                      example: 653c303970f555b2245cf569
+ *                  position:
+ *                      type: number
+ *                      description: seconds into the video
+ *                      example: 312.5
+ *                  watched:
+ *                      type: boolean
+ *                      description: true once the channel watched most of the video
+ *                      example: false
+ *                  updatedAt:
+ *                      type: string
+ *                      format: date
+ *                      nullable: true
+ *                      example: 2023-05-18T07:07:14.036Z
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: No videos found.
+ *
+ */
+const showProgress = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		if (!(await Video.exists({ _id: id }))) {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		const progress = await WatchProgress.findOne({
+			channel: req.channel._id,
+			video: id,
+		});
+
+		return res.status(200).json({
+			video: id,
+			position: progress ? progress.position : 0,
+			watched: progress ? progress.watched : false,
+			updatedAt: progress ? progress.updatedAt : null,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Save the playback position of a video
+/**
+ * @openapi
+ * /api/videos/{id}/progress:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Save the playback position of a video
+ *     description: Save where the logged in channel is in the video. Players should send it every few seconds and when playback stops. Past 90% of the video's duration it is marked as watched and leaves continue watching.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The video ObjectID
+ *            default: 653c303970f555b2245cf569
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          position:
+ *                              type: number
+ *                              description: seconds into the video
+ *                              required: true
+ *                              example: 312.5
+ *              multipart/form-data:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          position:
+ *                              type: number
+ *                              required: true
+ *                              example: 312.5
+ *     responses:
+ *       200:
+ *         description: Returns the saved playback position.
+ *         content:
+ *           application/json:
+ *             schema:
+ *              type: object
+ *              properties:
+ *                  video:
+ *                      type: string
+ *                      example: 653c303970f555b2245cf569
+ *                  position:
+ *                      type: number
+ *                      example: 312.5
+ *                  watched:
+ *                      type: boolean
+ *                      example: false
+ *                  updatedAt:
+ *                      type: string
+ *                      format: date
+ *                      example: 2023-05-18T07:07:14.036Z
+ *       400:
+ *         description: Missing or invalid position.
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: No videos found.
+ *
+ */
+const updateProgress = async (req, res) => {
+	const id = req.params.id;
+	const position = Number(req.body.position);
+
+	if (
+		req.body.position === undefined ||
+		req.body.position === "" ||
+		!Number.isFinite(position) ||
+		position < 0
+	) {
+		return res.status(400).json({
+			message: "'position' must be a number of seconds, 0 or more",
+		});
+	}
+
+	try {
+		const video = await Video.findById(id).select("duration");
+
+		if (!video) {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		// videos without a duration can't be marked as watched
+		const duration = video.duration || 0;
+		const saved = duration > 0 ? Math.min(position, duration) : position;
+		const finished = duration > 0 && saved >= duration * WATCHED_THRESHOLD;
+
+		const progress = await WatchProgress.findOneAndUpdate(
+			{ channel: req.channel._id, video: video._id },
+			{
+				$set: {
+					position: saved,
+					inProgress: saved > 0 && !finished,
+					...(finished ? { watched: true } : {}),
+				},
+				// keep the first time it was watched
+				...(finished ? { $min: { watchedAt: new Date() } } : {}),
+			},
+			{ upsert: true, new: true, setDefaultsOnInsert: true }
+		);
+
+		return res.status(200).json({
+			video: id,
+			position: progress.position,
+			watched: progress.watched,
+			updatedAt: progress.updatedAt,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `Video ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// List videos to continue watching
+/**
+ * @openapi
+ * /api/channels/me/continue-watching:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Retrieve the videos to continue watching
+ *     description: Retrieve the videos the logged in channel started but didn't finish, most recently played first. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor'.
+ *     parameters:
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of videos per page
+ *            default: 10
+ *     responses:
+ *       200:
+ *         description: Returns a page of videos with their playback position.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  videos:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              position:
+ *                                  type: number
+ *                                  example: 312.5
+ *                              updatedAt:
+ *                                  type: string
+ *                                  format: date
+ *                                  example: 2023-05-18T07:07:14.036Z
+ *                              video:
+ *                                  type: object
+ *                                  description: the video, with its channel
+ *       400:
+ *         description: Invalid cursor.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const continueWatching = async (req, res) => {
+	try {
+		const { items, next, prev } = await paginateByCursor(
+			WatchProgress.find({ channel: req.channel._id, inProgress: true })
+				.populate({
+					path: "video",
+					select: "_id title url tag thumbnail duration views createdAt channel",
+					populate: {
+						path: "channel",
+						select: "_id username subscriber avatar",
+					},
+				})
+				.select("video position updatedAt"),
+			{
+				sort: { updatedAt: -1, _id: -1 },
+				limit: parseLimit(req.query.limit),
+				cursor: req.query.cursor,
+			}
+		);
+
+		return res.status(200).json({
+			next,
+			prev,
+			// videos deleted since they were played are left out
+			videos: items
+				.filter((progress) => progress.video)
+				.map(({ video, position, updatedAt }) => ({
+					position,
+					updatedAt,
+					video,
+				})),
+		});
+	} catch (err) {
+		if (err.name === "CursorError") {
+			return res.status(400).json({
+				message: err.message,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+// date of a moment in a time zone, as YYYY-MM-DD
+// throws a RangeError for an unknown time zone
+const dayFormat = (timeZone) =>
+	new Intl.DateTimeFormat("en-CA", {
+		timeZone,
+		year: "numeric",
+		month: "2-digit",
+		day: "2-digit",
+	});
+
+// List the watch history
+/**
+ * @openapi
+ * /api/channels/me/history:
+ *   get:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Retrieve the watch history
+ *     description: Retrieve the videos the logged in channel watched, most recent first and grouped by the day they were watched. A rewatched video only appears once, on the day it was last watched. Iterate through pages by passing the 'next' or 'prev' cursor of the response as 'cursor', a day can continue on the next page.
+ *     parameters:
+ *          - in: query
+ *            name: cursor
+ *            type: string
+ *            description: The 'next' or 'prev' cursor of a previous response
+ *          - in: query
+ *            name: limit
+ *            type: integer
+ *            description: The numbers of videos per page
+ *            default: 10
+ *          - in: query
+ *            name: tz
+ *            type: string
+ *            description: The time zone used to group entries by day
+ *            default: UTC
+ *            example: Europe/Dublin
+ *     responses:
+ *       200:
+ *         description: Returns a page of the watch history.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                  paused:
+ *                      type: boolean
+ *                      description: true if new videos aren't being added
+ *                      example: false
+ *                  next:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the next page, null on the last page
+ *                  prev:
+ *                      type: string
+ *                      nullable: true
+ *                      description: cursor of the previous page, null on the first page
+ *                  days:
+ *                      type: array
+ *                      items:
+ *                          type: object
+ *                          properties:
+ *                              date:
+ *                                  type: string
+ *                                  example: 2023-05-18
+ *                              entries:
+ *                                  type: array
+ *                                  items:
+ *                                      type: object
+ *                                      properties:
+ *                                          _id:
+ *                                              type: string
+ *                                              description: the history entry ObjectID
+ *                                              example: 6564a2f1c3b2a1f0e9d8c7b6
+ *                                          watchedAt:
+ *                                              type: string
+ *                                              format: date
+ *                                              example: 2023-05-18T07:07:14.036Z
+ *                                          video:
+ *                                              type: object
+ *                                              description: the video, with its channel
+ *       400:
+ *         description: Invalid cursor or time zone.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const history = async (req, res) => {
+	let format;
+
+	try {
+		format = dayFormat(req.query.tz || "UTC");
+	} catch (err) {
+		return res.status(400).json({
+			message: `Unknown time zone '${req.query.tz}'`,
+		});
+	}
+
+	try {
+		const [channel, { items, next, prev }] = await Promise.all([
+			Channel.findById(req.channel._id).select("historyPaused"),
+			paginateByCursor(
+				WatchHistory.find({ channel: req.channel._id })
+					.populate({
+						path: "video",
+						select: "_id title url tag thumbnail duration views createdAt channel",
+						populate: {
+							path: "channel",
+							select: "_id username subscriber avatar",
+						},
+					})
+					.select("video watchedAt"),
+				{
+					sort: { watchedAt: -1, _id: -1 },
+					limit: parseLimit(req.query.limit),
+					cursor: req.query.cursor,
+				}
+			),
+		]);
+
+		// entries are sorted, so a day's entries are next to each other
+		const days = [];
+
+		for (const { _id, video, watchedAt } of items) {
+			if (!video) continue;
+
+			const date = format.format(watchedAt);
+
+			if (days.length === 0 || days[days.length - 1].date !== date) {
+				days.push({ date, entries: [] });
+			}
+
+			days[days.length - 1].entries.push({ _id, watchedAt, video });
+		}
+
+		return res.status(200).json({
+			paused: !!channel?.historyPaused,
+			next,
+			prev,
+			days,
+		});
+	} catch (err) {
+		if (err.name === "CursorError") {
+			return res.status(400).json({
+				message: err.message,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Remove a video from the watch history
+/**
+ * @openapi
+ * /api/channels/me/history/{id}:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Remove an entry from the watch history
+ *     description: Remove one video from the logged in channel's watch history.
+ *     parameters:
+ *          - in: path
+ *            name: id
+ *            type: string
+ *            description: The history entry ObjectID
+ *     responses:
+ *       200:
+ *         description: entry removed
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: History entry 6564a2f1c3b2a1f0e9d8c7b6 has been removed
+ *       401:
+ *         description: Unauthorised channel
+ *       404:
+ *         description: entry not found
+ *
+ */
+const deleteHistoryEntry = async (req, res) => {
+	const id = req.params.id;
+
+	try {
+		const entry = await WatchHistory.findOneAndDelete({
+			_id: id,
+			channel: req.channel._id,
+		});
+
+		if (!entry) {
+			return res.status(404).json({
+				message: `History entry ${id} not found!`,
+			});
+		}
+
+		return res.status(200).json({
+			message: `History entry ${id} has been removed`,
+		});
+	} catch (err) {
+		if (err.name === "CastError") {
+			return res.status(404).json({
+				message: `History entry ${id} not found!`,
+			});
+		}
+
+		console.error(err);
+		return res.status(500).json(err);
+	}
+};
+
+// Clear the watch history
+/**
+ * @openapi
+ * /api/channels/me/history:
+ *   delete:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Clear the watch history
+ *     description: Remove every video from the logged in channel's watch history. Playback positions are kept.
+ *     responses:
+ *       200:
+ *         description: history cleared
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      message:
+ *                          type: string
+ *                          example: Watch history has been cleared
+ *                      deleted:
+ *                          type: integer
+ *                          example: 42
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const clearHistory = (req, res) => {
+	WatchHistory.deleteMany({ channel: req.channel._id })
+		.then(({ deletedCount }) => {
+			res.status(200).json({
+				message: "Watch history has been cleared",
+				deleted: deletedCount,
+			});
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+// Pause or resume the watch history
+/**
+ * @openapi
+ * /api/channels/me/history/pause:
+ *   put:
+ *     security:
+ *      - bearerAuth: []
+ *     tags:
+ *      - watch
+ *     summary: Pause or resume the watch history
+ *     description: While paused, videos the logged in channel watches aren't added to its watch history. Existing entries are kept.
+ *     requestBody:
+ *          required: true
+ *          content:
+ *              application/json:
+ *                  schema:
+ *                      type: object
+ *                      properties:
+ *                          paused:
+ *                              type: boolean
+ *                              required: true
+ *                              example: true
+ *     responses:
+ *       200:
+ *         description: Returns whether the history is paused.
+ *         content:
+ *           application/json:
+ *              schema:
+ *                  properties:
+ *                      paused:
+ *                          type: boolean
+ *                          example: true
+ *       400:
+ *         description: Missing or invalid 'paused'.
+ *       401:
+ *         description: Unauthorised channel
+ *
+ */
+const pauseHistory = (req, res) => {
+	// form bodies send booleans as strings
+	const paused = { true: true, false: false }[String(req.body.paused)];
+
+	if (paused === undefined) {
+		return res.status(400).json({
+			message: "'paused' must be true or false",
+		});
+	}
+
+	Channel.findByIdAndUpdate(req.channel._id, { historyPaused: paused })
+		.then(() => {
+			res.status(200).json({ paused });
+		})
+		.catch((err) => {
+			console.error(err);
+			res.status(500).json(err);
+		});
+};
+
+module.exports = {
+	showProgress,
+	updateProgress,
+	continueWatching,
+	history,
+	deleteHistoryEntry,
+	clearHistory,
+	pauseHistory,
+};
@@ -0,0 +1,18 @@
+const {Schema, model, ObjectId} = require('mongoose');
+const {SCOPES} = require('../config/scopes');
+
+const apiKeySchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    // start of the key so channels can tell their keys apart
+    prefix: { type: String, required: true },
+    // sha256 hash of the key, the plain key is only returned when created
+    key: { type: String, required: true, unique: true, select: false },
+    scopes: { type: [{ type: String, enum: SCOPES }], required: true },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+module.exports = model('ApiKey', apiKeySchema);
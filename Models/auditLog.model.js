@@ -0,0 +1,15 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// record of security related events, e.g. account lockouts
+const auditLogSchema = new Schema({
+    action: { type: String, required: true, index: true },
+    // channel the event is about and the channel that caused it, if any
+    channel: { type: ObjectId, ref: 'Channel', index: true },
+    actor: { type: ObjectId, ref: 'Channel' },
+    ip: { type: String },
+    details: { type: Schema.Types.Mixed },
+}, {
+    timestamps: true
+});
+
+module.exports = model('AuditLog', auditLogSchema);
@@ -1,25 +1,51 @@
 const {Schema, model, ObjectId} = require('mongoose');
 const {faker} = require('@faker-js/faker')
 const bcrypt = require('bcryptjs');
+const {ROLES} = require('../config/roles');
 
 const channelSchema = new Schema({
     username: { type: String, required: true},
     email: { type: String, unique: true, trim: true, required: true, lowercase: true},
     password: { type: String, required: true},
+    // number of Subscription documents for the channel, kept in sync by config/subscriptions
     subscribers: { type: Number, default: 0 },
     videos: [{ type: Schema.Types.ObjectId, ref: 'Video' }],
     about: { type: String },
     avatar: { type: String, default: faker.image.avatar()},
-    subscribed: [{ type: Schema.Types.ObjectId, ref: 'Channel', unique: true }],
     liked: [{ type: Schema.Types.ObjectId, ref: 'Video', unique: true }],
     disliked: [{ type: Schema.Types.ObjectId, ref: 'Video', unique: true }],
     comment_liked: [{ type: Schema.Types.ObjectId, ref: 'Comment', unique: true }],
     comment_disliked: [{ type: Schema.Types.ObjectId, ref: 'Comment', unique: true }],
-    roles: [{ type: String, default: 'user', }]
+    roles: { type: [{ type: String, enum: ROLES }], default: ['user'] },
+    suspended: { type: Boolean, default: false },
+    // set to false on register, channels created before verification existed don't have it
+    emailVerified: { type: Boolean },
+    // only the channel itself can list who it's subscribed to
+    hideSubscriptions: { type: Boolean, default: false },
+    // stops new videos being added to the watch history, private to the channel
+    historyPaused: { type: Boolean, default: false, select: false },
+    // TOTP two-factor authentication, secrets are never selected by default
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false },
+        lastUsedStep: { type: Number, select: false },
+        // sha256 hashes of one-time recovery codes
+        recoveryCodes: { type: [String], select: false, default: undefined },
+    },
 }, {
     timestamps: true
 });
 
+// prefix index for search suggestions
+channelSchema.index({ username: 1 });
+
+// weighted full-text index used for search
+channelSchema.index(
+    { username: 'text', about: 'text' },
+    { name: 'channel_text', weights: { username: 5, about: 1 } }
+);
+
 // compare password with existing password
 channelSchema.methods.comparePassword = function(password) {
     return bcrypt.compareSync(password, this.password);
@@ -0,0 +1,18 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// single-use tokens sent to a channel's email, e.g. for password resets or verification
+const channelTokenSchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true, index: true },
+    purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+    // sha256 hash of the token, the plain token is only ever mailed
+    token: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+// remove expired tokens automatically
+channelTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('ChannelToken', channelTokenSchema);
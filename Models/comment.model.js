@@ -11,4 +11,7 @@ const commentSchema = new Schema({
     timestamps: true
 });
 
+// full-text index used for search
+commentSchema.index({ body: 'text' }, { name: 'comment_text' });
+
 module.exports = model('Comment', commentSchema);
\ No newline at end of file
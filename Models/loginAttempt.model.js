@@ -0,0 +1,21 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// failed logins counted per email and per IP
+const loginAttemptSchema = new Schema({
+    type: { type: String, enum: ['email', 'ip'], required: true },
+    value: { type: String, required: true },
+    // set for email attempts that belong to a channel
+    channel: { type: ObjectId, ref: 'Channel' },
+    failures: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date, default: null },
+    // forget attempts after a quiet period
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: true
+});
+
+loginAttemptSchema.index({ type: 1, value: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,28 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// upload: a subscribed channel uploaded a video
+// reply: someone replied to the recipient's comment
+// video_like & comment_like: someone liked the recipient's video or comment
+// subscriber: someone subscribed to the recipient
+const TYPES = ['upload', 'reply', 'video_like', 'comment_like', 'subscriber'];
+// notifications are removed after 90 days
+const NOTIFICATION_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const notificationSchema = new Schema({
+    recipient: { type: ObjectId, ref: 'Channel', required: true },
+    type: { type: String, enum: TYPES, required: true },
+    // the channel that caused the notification
+    actor: { type: ObjectId, ref: 'Channel', required: true },
+    video: { type: ObjectId, ref: 'Video' },
+    comment: { type: ObjectId, ref: 'Comment' },
+    readAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+// inbox newest first, optionally unread only
+notificationSchema.index({ recipient: 1, _id: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1, _id: -1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL_SECONDS });
+
+module.exports = model('Notification', notificationSchema);
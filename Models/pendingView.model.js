@@ -0,0 +1,16 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// views of a video counted but not yet added to the video
+// kept in the database so they survive restarts & serverless instances being discarded
+// each video's count is split over shards picked at random, so views of a popular video
+// are spread over several documents instead of all incrementing one
+const pendingViewSchema = new Schema({
+    video: { type: ObjectId, ref: 'Video', required: true },
+    shard: { type: Number, required: true },
+    views: { type: Number, default: 0 },
+});
+
+pendingViewSchema.index({ video: 1, shard: 1 }, { unique: true });
+pendingViewSchema.index({ views: 1 });
+
+module.exports = model('PendingView', pendingViewSchema);
@@ -0,0 +1,52 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// public: listed on the channel, unlisted: only reachable by its id, private: owner only
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+// playlists every channel gets, they can't be renamed, made public or deleted
+// liked videos isn't stored, it's read from Channel.liked
+const SYSTEM_PLAYLISTS = ['watch_later'];
+// most videos a playlist can hold
+const MAX_PLAYLIST_VIDEOS = 5000;
+
+const playlistSchema = new Schema({
+    title: { type: String, required: true, trim: true, maxlength: 150 },
+    description: { type: String, trim: true, maxlength: 5000 },
+    channel: { type: ObjectId, ref: 'Channel', required: true },
+    visibility: { type: String, enum: VISIBILITIES, default: 'private' },
+    // set on system playlists only
+    system: { type: String, enum: SYSTEM_PLAYLISTS },
+    // in playlist order
+    videos: {
+        type: [{ type: ObjectId, ref: 'Video' }],
+        validate: {
+            validator: (videos) => videos.length <= MAX_PLAYLIST_VIDEOS,
+            message: `A playlist can't have more than ${MAX_PLAYLIST_VIDEOS} videos`,
+        },
+    },
+    // channels invited to add, reorder & remove their own videos
+    editors: [{ type: ObjectId, ref: 'Channel' }],
+    // who added each video, videos added before editors existed have none
+    additions: [{
+        _id: false,
+        video: { type: ObjectId, ref: 'Video', required: true },
+        addedBy: { type: ObjectId, ref: 'Channel', required: true },
+        addedAt: { type: Date, default: Date.now },
+    }],
+}, {
+    timestamps: true
+});
+
+// atomic $push updates skip the validator, they check this instead
+playlistSchema.statics.MAX_VIDEOS = MAX_PLAYLIST_VIDEOS;
+
+playlistSchema.index({ channel: 1, updatedAt: -1 });
+// one of each system playlist per channel
+playlistSchema.index(
+    { channel: 1, system: 1 },
+    { unique: true, partialFilterExpression: { system: { $exists: true } } }
+);
+// find the playlists a video is in when it's deleted
+playlistSchema.index({ videos: 1 });
+playlistSchema.index({ editors: 1 });
+
+module.exports = model('Playlist', playlistSchema);
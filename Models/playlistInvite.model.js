@@ -0,0 +1,21 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// single-use invites to become an editor of a playlist
+const playlistInviteSchema = new Schema({
+    playlist: { type: ObjectId, ref: 'Playlist', required: true, index: true },
+    invitedBy: { type: ObjectId, ref: 'Channel', required: true },
+    // only this channel can accept, anyone with the link if not set
+    channel: { type: ObjectId, ref: 'Channel', default: null },
+    // sha256 hash of the token, the plain token is only returned once
+    token: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    acceptedBy: { type: ObjectId, ref: 'Channel', default: null },
+    acceptedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+// remove expired invites automatically
+playlistInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('PlaylistInvite', playlistInviteSchema);
@@ -0,0 +1,18 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+const refreshTokenSchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true, index: true },
+    // sha256 hash of the token, the plain token is only ever sent to the client
+    token: { type: String, required: true, unique: true },
+    // tokens rotated from the same login share a family
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+// remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,14 @@
+const {Schema, model} = require('mongoose');
+
+// revocation list of access tokens, identified by their jti claim
+const revokedTokenSchema = new Schema({
+    jti: { type: String, required: true, unique: true },
+    // once the access token expires it no longer needs to be listed
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,19 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// a login of a channel on a device, its refresh tokens share its id as family
+const sessionSchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true, index: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    // pushed back every time the session's refresh token is rotated
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+}, {
+    timestamps: true
+});
+
+// remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('Session', sessionSchema);
@@ -0,0 +1,19 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// a channel subscribed to another channel
+const subscriptionSchema = new Schema({
+    subscriber: { type: ObjectId, ref: 'Channel', required: true },
+    channel: { type: ObjectId, ref: 'Channel', required: true },
+    // copied from the subscriber's hideSubscriptions, so subscriber lists can leave it out
+    hidden: { type: Boolean, default: false },
+}, {
+    timestamps: true
+});
+
+// a channel can only subscribe to another once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+// list subscribers & subscriptions in a stable order
+subscriptionSchema.index({ channel: 1, _id: 1 });
+subscriptionSchema.index({ subscriber: 1, _id: 1 });
+
+module.exports = model('Subscription', subscriptionSchema);
@@ -25,4 +25,23 @@ const videoSchema = new Schema({
     timestamps: true
 });
 
+// indexes for filtering & sorting video lists
+videoSchema.index({ createdAt: -1 });
+videoSchema.index({ views: -1 });
+videoSchema.index({ likes: -1 });
+videoSchema.index({ duration: -1 });
+videoSchema.index({ tag: 1 });
+videoSchema.index({ channel: 1 });
+// newest uploads of many channels at once, e.g. the subscription feed
+videoSchema.index({ channel: 1, createdAt: -1, _id: -1 });
+
+// prefix index for search suggestions
+videoSchema.index({ title: 1 });
+
+// weighted full-text index used for search
+videoSchema.index(
+    { title: 'text', tag: 'text', description: 'text' },
+    { name: 'video_text', weights: { title: 10, tag: 5, description: 1 } }
+);
+
 module.exports = model('Video', videoSchema);
\ No newline at end of file
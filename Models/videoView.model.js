@@ -0,0 +1,20 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// views counted recently, used to count a viewer once per video per window
+const videoViewSchema = new Schema({
+    video: { type: ObjectId, ref: 'Video', required: true },
+    // the logged in channel, or a hash of the IP & user agent of a guest
+    viewer: { type: String, required: true },
+    // hash of the IP, used to catch bursts from one address
+    ip: { type: String, required: true },
+    // the viewer can be counted again after this
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: true
+});
+
+videoViewSchema.index({ video: 1, viewer: 1 }, { unique: true });
+videoViewSchema.index({ ip: 1, createdAt: -1 });
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = model('VideoView', videoViewSchema);
@@ -0,0 +1,15 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// videos a channel watched, one entry per video moved up on every rewatch
+const watchHistorySchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true },
+    video: { type: ObjectId, ref: 'Video', required: true },
+    watchedAt: { type: Date, required: true },
+}, {
+    timestamps: true
+});
+
+watchHistorySchema.index({ channel: 1, video: 1 }, { unique: true });
+watchHistorySchema.index({ channel: 1, watchedAt: -1, _id: -1 });
+
+module.exports = model('WatchHistory', watchHistorySchema);
@@ -0,0 +1,21 @@
+const {Schema, model, ObjectId} = require('mongoose');
+
+// playback position of a channel in a video, used to resume playback
+const watchProgressSchema = new Schema({
+    channel: { type: ObjectId, ref: 'Channel', required: true },
+    video: { type: ObjectId, ref: 'Video', required: true },
+    // seconds into the video
+    position: { type: Number, default: 0, min: 0 },
+    // true once the channel got past the watched threshold, even if they rewatch it
+    watched: { type: Boolean, default: false },
+    watchedAt: { type: Date },
+    // started but not past the watched threshold, listed in continue watching
+    inProgress: { type: Boolean, default: false },
+}, {
+    timestamps: true
+});
+
+watchProgressSchema.index({ channel: 1, video: 1 }, { unique: true });
+watchProgressSchema.index({ channel: 1, inProgress: 1, updatedAt: -1, _id: -1 });
+
+module.exports = model('WatchProgress', watchProgressSchema);
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const {
+	index,
+	suspend,
+	updateRoles,
+	lockouts,
+	unlock,
+	unlockChannel,
+	auditLog,
+} = require("../Controllers/admin.controller");
+
+const { permissionRequired } = require("../Controllers/channels.controller");
+const { auth } = require("../config/auth");
+const imageUpload = require("../config/imageUpload");
+
+// every admin route requires the channels:manage permission
+router.use(auth("required-auth"), permissionRequired("channels:manage"));
+
+router
+	.get("/channels", index)
+	.put("/channels/:id/suspend", imageUpload.none(), suspend)
+	.put("/channels/:id/roles", imageUpload.none(), updateRoles)
+	.delete("/channels/:id/lock", unlockChannel)
+	.get("/lockouts", lockouts)
+	.delete("/lockouts/:id", unlock)
+	.get("/audit", auditLog);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const { index, create, destroy } = require("../Controllers/apiKey.controller");
+
+const { auth } = require("../config/auth");
+const imageUpload = require("../config/imageUpload");
+
+// API keys can only be managed by a logged in channel, never by another API key
+router
+	.get("/", auth("required-auth"), index)
+	.post("/", [auth("required-auth"), imageUpload.none()], create)
+	.delete("/:id", auth("required-auth"), destroy);
+
+module.exports = router;
@@ -3,25 +3,81 @@ const router = express.Router();
 const {
     register,
     login,
-    loginRequired,
+    refresh,
+    logout,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     show,
+    videos,
+    feed,
     update,
     destroy,
     subscribe,
     subscribed,
+    subscribers,
+    subscriptions,
+    updatePrivacy,
 } = require('../Controllers/channels.controller');
+const {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    verifyTwoFactor,
+} = require('../Controllers/twoFactor.controller');
+const {
+    continueWatching,
+    history,
+    deleteHistoryEntry,
+    clearHistory,
+    pauseHistory,
+} = require('../Controllers/watch.controller');
+const {
+    likedVideos,
+    watchLater,
+    addToWatchLater,
+    removeFromWatchLater,
+} = require('../Controllers/playlist.controller');
 
+const { auth } = require('../config/auth');
 const imageUpload = require("../config/imageUpload");
 
 
 router
-    .post('/register', imageUpload.single("avatar"),register)
-    .post('/login', imageUpload.none(),login)
-    .get('/:id', imageUpload.none(), show)
-    .get('/:id/subscribed', imageUpload.none(), subscribed)
-    .post('/:id/subscribe', loginRequired, subscribe)
-    .put('/update', [loginRequired, imageUpload.single("avatar")], update)
-	.delete("/delete", [loginRequired, imageUpload.none()], destroy);
+    .post('/register', [auth('public'), imageUpload.single("avatar")], register)
+    .post('/login', [auth('public'), imageUpload.none()], login)
+    .post('/refresh', [auth('public'), imageUpload.none()], refresh)
+    .post('/logout', [auth('required-auth'), imageUpload.none()], logout)
+    .post('/password/forgot', [auth('public'), imageUpload.none()], forgotPassword)
+    .post('/password/reset', [auth('public'), imageUpload.none()], resetPassword)
+    .get('/verify/:token', auth('public'), verifyEmail)
+    .post('/verify/resend', auth('required-auth'), resendVerification)
+    .post('/2fa/enroll', auth('required-auth'), enrollTwoFactor)
+    .post('/2fa/confirm', [auth('required-auth'), imageUpload.none()], confirmTwoFactor)
+    .post('/2fa/disable', [auth('required-auth'), imageUpload.none()], disableTwoFactor)
+    .post('/2fa/recovery-codes', [auth('required-auth'), imageUpload.none()], regenerateRecoveryCodes)
+    .post('/2fa/verify', [auth('public'), imageUpload.none()], verifyTwoFactor)
+    .put('/me/privacy', [auth('required-auth'), imageUpload.none()], updatePrivacy)
+    .get('/me/feed', auth('required-auth', 'channels:read'), feed)
+    .get('/me/continue-watching', auth('required-auth'), continueWatching)
+    .get('/me/history', auth('required-auth'), history)
+    .delete('/me/history', auth('required-auth'), clearHistory)
+    .put('/me/history/pause', [auth('required-auth'), imageUpload.none()], pauseHistory)
+    .delete('/me/history/:id', auth('required-auth'), deleteHistoryEntry)
+    .get('/me/playlists/liked', auth('required-auth', 'playlists:read'), likedVideos)
+    .get('/me/playlists/watch-later', auth('required-auth', 'playlists:read'), watchLater)
+    .post('/me/playlists/watch-later', [auth('required-auth', 'playlists:write'), imageUpload.none()], addToWatchLater)
+    .delete('/me/playlists/watch-later/:videoId', auth('required-auth', 'playlists:write'), removeFromWatchLater)
+    .get('/:id', [auth('optional-auth', 'channels:read'), imageUpload.none()], show)
+    .get('/:id/videos', auth('public'), videos)
+    .get('/:id/subscribers', auth('optional-auth', 'channels:read'), subscribers)
+    .get('/:id/subscriptions', auth('optional-auth', 'channels:read'), subscriptions)
+    .get('/:id/subscribed', [auth('required-auth', 'channels:read'), imageUpload.none()], subscribed)
+    .post('/:id/subscribe', auth('required-auth', 'channels:write'), subscribe)
+    .put('/update', [auth('required-auth', 'channels:write'), imageUpload.single("avatar")], update)
+    .delete("/delete", [auth('required-auth'), imageUpload.none()], destroy);
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
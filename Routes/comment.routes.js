@@ -13,20 +13,22 @@ const {
 } = require('../Controllers/comment.controller');
 
 const imageUpload = require("../config/imageUpload");
-const {loginRequired} = require('../Controllers/channels.controller')
+const Comment = require('../Models/comment.model');
+const { auth } = require('../config/auth');
+const {ownershipRequired, verifiedRequired} = require('../Controllers/channels.controller')
 
 
 
 router
-    .get('/', index)
-    .get('/:id', show)
-    .get('/:id/children', showChildComments)
-    .post('/:id/like', loginRequired, likeComment)
-    .post('/:id/dislike', loginRequired, dislikeComment)
-    .post('/:commentId/create', [loginRequired, imageUpload.none()], createCommentInComment)
-    .post('/video/:videoId/create', [loginRequired, imageUpload.none()], createCommentInVideo)
-    .put('/:id/update', [loginRequired, imageUpload.none()], update)
-    .delete('/:id/delete', [loginRequired, imageUpload.none()], destroy);
+    .get('/', auth('public'), index)
+    .get('/:id', auth('public'), show)
+    .get('/:id/children', auth('public'), showChildComments)
+    .post('/:id/like', auth('required-auth', 'comments:write'), likeComment)
+    .post('/:id/dislike', auth('required-auth', 'comments:write'), dislikeComment)
+    .post('/:commentId/create', [auth('required-auth', 'comments:write'), verifiedRequired, imageUpload.none()], createCommentInComment)
+    .post('/video/:videoId/create', [auth('required-auth', 'comments:write'), verifiedRequired, imageUpload.none()], createCommentInVideo)
+    .put('/:id/update', [auth('required-auth', 'comments:write'), ownershipRequired(Comment, '_channel_id', 'comments:update:any'), imageUpload.none()], update)
+    .delete('/:id/delete', [auth('required-auth', 'comments:write'), ownershipRequired(Comment, '_channel_id', 'comments:delete:any'), imageUpload.none()], destroy);
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+	index,
+	unreadCount,
+	markRead,
+	markAllRead,
+} = require("../Controllers/notification.controller");
+
+const { auth } = require("../config/auth");
+
+// notifications are only read by the logged in channel, never by an API key
+router
+	.get("/", auth("required-auth"), index)
+	.get("/unread-count", auth("required-auth"), unreadCount)
+	.post("/read-all", auth("required-auth"), markAllRead)
+	.post("/:id/read", auth("required-auth"), markRead);
+
+module.exports = router;
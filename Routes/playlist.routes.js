@@ -0,0 +1,63 @@
+const express = require("express");
+const router = express.Router();
+const {
+	create,
+	show,
+	update,
+	destroy,
+	addVideo,
+	moveVideo,
+	removeVideo,
+	createInvite,
+	acceptInvite,
+	removeEditor,
+	editorRequired,
+} = require("../Controllers/playlist.controller");
+
+const Playlist = require("../Models/playlist.model");
+const { ownershipRequired } = require("../Controllers/channels.controller");
+const { auth } = require("../config/auth");
+const imageUpload = require("../config/imageUpload");
+
+// only the owner can change a playlist, admins can too & moderators can delete one
+// invited editors can add, reorder & remove their own videos
+const owner = (permission) => ownershipRequired(Playlist, "channel", permission);
+
+router
+	.post("/", [auth("required-auth", "playlists:write"), imageUpload.none()], create)
+	// invites are handled by the channels themselves, never by an API key
+	.post("/invites/:token/accept", auth("required-auth"), acceptInvite)
+	.get("/:id", auth("optional-auth", "playlists:read"), show)
+	.put(
+		"/:id",
+		[auth("required-auth", "playlists:write"), owner("playlists:update:any"), imageUpload.none()],
+		update
+	)
+	.delete(
+		"/:id",
+		[auth("required-auth", "playlists:write"), owner("playlists:delete:any")],
+		destroy
+	)
+	.post(
+		"/:id/videos",
+		[auth("required-auth", "playlists:write"), editorRequired, imageUpload.none()],
+		addVideo
+	)
+	.put(
+		"/:id/videos/:videoId",
+		[auth("required-auth", "playlists:write"), editorRequired, imageUpload.none()],
+		moveVideo
+	)
+	.delete(
+		"/:id/videos/:videoId",
+		[auth("required-auth", "playlists:write"), editorRequired],
+		removeVideo
+	)
+	.post(
+		"/:id/invites",
+		[auth("required-auth"), owner("playlists:update:any"), imageUpload.none()],
+		createInvite
+	)
+	.delete("/:id/editors/:channelId", [auth("required-auth"), editorRequired], removeEditor);
+
+module.exports = router;
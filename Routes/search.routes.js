@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const { search, suggest } = require("../Controllers/search.controller");
+
+const { auth } = require("../config/auth");
+
+router
+	.get("/", auth("public"), search)
+	.get("/suggest", auth("public"), suggest);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const { index, destroy } = require("../Controllers/session.controller");
+
+const { auth } = require("../config/auth");
+
+// sessions can only be managed by a logged in channel, never by an API key
+router
+	.get("/", auth("required-auth"), index)
+	.delete("/:id", auth("required-auth"), destroy);
+
+module.exports = router;
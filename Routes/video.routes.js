@@ -3,7 +3,9 @@ const router = express.Router();
 const {
 	index,
 	show,
+	view,
 	random,
+	search,
 	showComments,
 	create,
 	update,
@@ -11,19 +13,44 @@ const {
 	likeVideo,
     dislikeVideo
 } = require("../Controllers/video.controller");
+const {
+	showProgress,
+	updateProgress,
+} = require("../Controllers/watch.controller");
 
-const { loginRequired } = require("../Controllers/channels.controller");
+const Video = require("../Models/video.model");
+const {
+	ownershipRequired,
+	verifiedRequired,
+} = require("../Controllers/channels.controller");
+const { auth } = require("../config/auth");
 const imageUpload = require("../config/imageUpload");
 
 router
-	.get("/", index)
-	.get("/random/:tag", random)
-	.get("/:id", show)
-	.get('/:id/comments', showComments)
-	.post("/:id/like", loginRequired, likeVideo)
-	.post("/:id/dislike", loginRequired, dislikeVideo)
-	.post("/create", [loginRequired, imageUpload.single("thumbnail")], create)
-	.put("/:id/update", [loginRequired, imageUpload.none()], update)
-	.delete("/:id/delete", [loginRequired, imageUpload.none()], destroy);
+	.get("/", auth("public"), index)
+	.get("/random/:tag", auth("public"), random)
+	.get("/search", auth("public"), search)
+	.get("/:id", auth("optional-auth", "videos:read"), show)
+	.get("/:id/comments", auth("public"), showComments)
+	.post("/:id/view", auth("optional-auth"), view)
+	.get("/:id/progress", auth("required-auth"), showProgress)
+	.put("/:id/progress", [auth("required-auth"), imageUpload.none()], updateProgress)
+	.post("/:id/like", auth("required-auth", "videos:write"), likeVideo)
+	.post("/:id/dislike", auth("required-auth", "videos:write"), dislikeVideo)
+	.post(
+		"/create",
+		[auth("required-auth", "videos:write"), verifiedRequired, imageUpload.single("thumbnail")],
+		create
+	)
+	.put(
+		"/:id/update",
+		[auth("required-auth", "videos:write"), ownershipRequired(Video, "channel", "videos:update:any"), imageUpload.none()],
+		update
+	)
+	.delete(
+		"/:id/delete",
+		[auth("required-auth", "videos:write"), ownershipRequired(Video, "channel", "videos:delete:any"), imageUpload.none()],
+		destroy
+	);
 
 module.exports = router;
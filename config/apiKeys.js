@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+const ApiKey = require("../Models/apiKey.model");
+const Channel = require("../Models/channel.model");
+const { hashToken, LAST_USED_INTERVAL } = require("./tokens");
+
+const KEY_PREFIX = "ytk_";
+
+// generate a new plain API key
+const generateApiKey = () => KEY_PREFIX + crypto.randomBytes(32).toString("hex");
+
+// verify an API key, resolves with the channel it acts for
+// or undefined if the key is unknown, revoked or its channel is suspended
+const verifyApiKey = async (key) => {
+	const apiKey = await ApiKey.findOne({ key: hashToken(key), revokedAt: null });
+
+	if (!apiKey) return undefined;
+
+	const channel = await Channel.findById(apiKey.channel).select(
+		"_id email username suspended"
+	);
+
+	if (!channel || channel.suspended) return undefined;
+
+	if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_INTERVAL) {
+		ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+			(err) => console.error(err)
+		);
+	}
+
+	// same shape as a decoded access token, with the key's scopes
+	return {
+		_id: channel._id,
+		email: channel.email,
+		username: channel.username,
+		apiKey: {
+			_id: apiKey._id,
+			scopes: apiKey.scopes,
+		},
+	};
+};
+
+module.exports = {
+	KEY_PREFIX,
+	generateApiKey,
+	verifyApiKey,
+};
@@ -0,0 +1,11 @@
+const AuditLog = require("../Models/auditLog.model");
+
+// add an audit entry, failures are logged but never thrown
+// so auditing can't break the request being audited
+const audit = (action, { channel, actor, ip, details } = {}) => {
+	return AuditLog.create({ action, channel, actor, ip, details }).catch((err) =>
+		console.error(err)
+	);
+};
+
+module.exports = audit;
@@ -0,0 +1,115 @@
+const jwt = require("jsonwebtoken");
+const { isAccessTokenRevoked, touchSession } = require("./tokens");
+const { verifyApiKey } = require("./apiKeys");
+const { SCOPES } = require("./scopes");
+require("dotenv").config();
+
+// auth levels a route can declare
+// public: never reads a token
+// optional-auth: attaches the viewer if a valid token is sent
+// required-auth: rejects requests without a valid token
+const AUTH_LEVELS = ["public", "optional-auth", "required-auth"];
+
+// schemes accepted in the Authorization header
+// Bearer <access token> for channels, ApiKey <key> for server-to-server clients
+const SCHEMES = ["Bearer", "ApiKey"];
+
+// read the credential from the Authorization header
+const getCredential = (req) => {
+	if (!req.headers.authorization) return null;
+
+	const [scheme, value] = req.headers.authorization.split(" ");
+
+	return SCHEMES.includes(scheme) && value ? { scheme, value } : null;
+};
+
+// verify a token, resolves with the decoded channel
+// or undefined if the token is invalid, expired or revoked
+const verifyToken = (token) => {
+	return new Promise((resolve) => {
+		jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+			if (err) {
+				console.log(err.message);
+				return resolve(undefined);
+			}
+
+			return resolve(decoded);
+		});
+	}).then(async (decoded) => {
+		// tokens with a purpose, e.g. 2FA challenges, aren't access tokens
+		if (!decoded || decoded.purpose) return undefined;
+		if (await isAccessTokenRevoked(decoded)) return undefined;
+
+		return decoded;
+	});
+};
+
+// auth middleware, every route declares its auth level
+// and the scope an API key needs to use it
+// routes without a scope can't be used with API keys
+const auth = (level, scope) => {
+	if (!AUTH_LEVELS.includes(level)) {
+		throw new Error(`Unknown auth level "${level}"`);
+	}
+
+	if (scope && !SCOPES.includes(scope)) {
+		throw new Error(`Unknown scope "${scope}"`);
+	}
+
+	return (req, res, next) => {
+		req.channel = undefined;
+
+		if (level === "public") return next();
+
+		const credential = getCredential(req);
+
+		if (!credential) {
+			// anonymous viewers are allowed on optional-auth routes
+			if (level === "optional-auth") return next();
+
+			return res.status(401).json({
+				message: "No token",
+			});
+		}
+
+		const verify = credential.scheme === "ApiKey" ? verifyApiKey : verifyToken;
+
+		// a token that was sent must be valid, even on optional-auth routes
+		// so clients know to refresh it instead of silently losing the viewer
+		verify(credential.value)
+			.then((decoded) => {
+				if (!decoded) {
+					return res.status(401).json({
+						msg: "Unauthorised channel!",
+					});
+				}
+
+				if (decoded.apiKey && !(scope && decoded.apiKey.scopes.includes(scope))) {
+					return res.status(403).json({
+						message: scope
+							? `API key is missing the ${scope} scope`
+							: "API keys can't be used on this route",
+					});
+				}
+
+				if (decoded.sid) {
+					touchSession(decoded.sid, req.ip).catch((err) => console.error(err));
+				}
+
+				// put channel into the request and pass to the actual route
+				req.channel = decoded;
+
+				return next();
+			})
+			.catch((err) => {
+				console.error(err);
+				return res.status(500).json(err);
+			});
+	};
+};
+
+module.exports = {
+	AUTH_LEVELS,
+	auth,
+	verifyToken,
+};
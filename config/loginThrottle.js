@@ -0,0 +1,189 @@
+const LoginAttempt = require("../Models/loginAttempt.model");
+const audit = require("./audit");
+
+// failures allowed before backoff starts & before locking out
+// IPs get more room as many channels can share one
+const LIMITS = {
+	email: { free: 3, threshold: 10 },
+	ip: { free: 10, threshold: 50 },
+};
+const MAX_BACKOFF_SECONDS = 5 * 60;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// attempts are forgotten after a day without failures
+const ATTEMPT_TTL = 24 * 60 * 60 * 1000;
+
+const attemptKeys = ({ email, ip }) => {
+	const keys = [];
+
+	if (email) keys.push({ type: "email", value: String(email).trim().toLowerCase() });
+	if (ip) keys.push({ type: "ip", value: ip });
+
+	return keys;
+};
+
+// seconds left before another attempt is allowed, 0 if allowed now
+const secondsToWait = (attempt, now) => {
+	if (attempt.lockedUntil && attempt.lockedUntil > now) {
+		return Math.ceil((attempt.lockedUntil - now) / 1000);
+	}
+
+	const { free } = LIMITS[attempt.type];
+
+	if (attempt.failures < free || !attempt.lastFailedAt) return 0;
+
+	// 1s, 2s, 4s... after the free attempts are used up
+	const backoff = Math.min(2 ** (attempt.failures - free), MAX_BACKOFF_SECONDS);
+	const allowedAt = attempt.lastFailedAt.getTime() + backoff * 1000;
+
+	return Math.max(0, Math.ceil((allowedAt - now) / 1000));
+};
+
+// whether an attempt allows another login at now, as a query expression
+// the same rules as secondsToWait so the check & the count can be one atomic update
+const allowsAttempt = (type, now) => {
+	const { free } = LIMITS[type];
+	const backoff = {
+		$min: [{ $pow: [2, { $subtract: ["$failures", free] }] }, MAX_BACKOFF_SECONDS],
+	};
+
+	return {
+		$and: [
+			{ $lte: [{ $ifNull: ["$lockedUntil", new Date(0)] }, now] },
+			{
+				$or: [
+					{ $lt: ["$failures", free] },
+					{
+						$lte: [
+							{
+								$add: [
+									{ $ifNull: ["$lastFailedAt", new Date(0)] },
+									{ $multiply: [backoff, 1000] },
+								],
+							},
+							now,
+						],
+					},
+				],
+			},
+		],
+	};
+};
+
+// count an attempt up front if it's allowed, resolves with the attempt that blocks it otherwise
+// checking & counting at once means parallel attempts can't all pass before one is counted
+const reserveKey = async (key, now) => {
+	// retried when a parallel attempt created the document first
+	for (let tries = 0; tries < 3; tries++) {
+		try {
+			await LoginAttempt.findOneAndUpdate(
+				{ ...key, $expr: allowsAttempt(key.type, now) },
+				{
+					$inc: { failures: 1 },
+					$set: {
+						lastFailedAt: now,
+						expiresAt: new Date(now.getTime() + ATTEMPT_TTL),
+					},
+				},
+				{ upsert: true }
+			);
+
+			return null;
+		} catch (err) {
+			// the attempt exists but didn't match, so it doesn't allow another login yet
+			if (err.code !== 11000) throw err;
+		}
+
+		const attempt = await LoginAttempt.findOne(key);
+
+		if (attempt && secondsToWait(attempt, now) > 0) return attempt;
+	}
+
+	return LoginAttempt.findOne(key);
+};
+
+// take back attempts counted by reserveLoginAttempt
+const releaseLoginAttempt = async (credentials) => {
+	for (const key of attemptKeys(credentials)) {
+		await LoginAttempt.updateOne(
+			{ ...key, failures: { $gt: 0 } },
+			{ $inc: { failures: -1 } }
+		);
+	}
+};
+
+// reserve a login attempt for an email & IP, counting it as failed until released
+// resolves with { allowed, locked, retryAfter } where retryAfter is in seconds
+// a correct password or code should release it, a wrong one record it with recordLoginFailure
+const reserveLoginAttempt = async (credentials) => {
+	const now = new Date();
+	const reserved = [];
+
+	for (const key of attemptKeys(credentials)) {
+		const blocking = await reserveKey(key, now);
+
+		if (blocking) {
+			// an attempt that isn't made isn't counted
+			await releaseLoginAttempt(
+				Object.fromEntries(reserved.map(({ type, value }) => [type, value]))
+			);
+
+			return {
+				allowed: false,
+				locked: !!blocking.lockedUntil && blocking.lockedUntil > now,
+				retryAfter: Math.max(1, secondsToWait(blocking, now)),
+			};
+		}
+
+		reserved.push(key);
+	}
+
+	return { allowed: true, locked: false, retryAfter: 0 };
+};
+
+// a reserved attempt failed, locks the email or IP once its threshold is reached
+const recordLoginFailure = async ({ email, ip, channel }) => {
+	const now = new Date();
+
+	for (const key of attemptKeys({ email, ip })) {
+		if (key.type === "email" && channel) {
+			await LoginAttempt.updateOne(key, { $set: { channel: channel._id } });
+		}
+
+		// lock and start counting again once the lock ends
+		// only one of parallel failures can match, so the lockout is audited once
+		const attempt = await LoginAttempt.findOneAndUpdate(
+			{ ...key, failures: { $gte: LIMITS[key.type].threshold } },
+			{
+				$set: {
+					lockedUntil: new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000),
+					failures: 0,
+				},
+			},
+			{ new: true }
+		);
+
+		if (!attempt) continue;
+
+		await audit("login.lockout", {
+			channel: attempt.channel,
+			ip,
+			details: {
+				type: key.type,
+				value: key.value,
+				lockedUntil: attempt.lockedUntil,
+			},
+		});
+	}
+};
+
+// forget failed logins of an email after a successful login or password reset
+const clearLoginFailures = (email) => {
+	return LoginAttempt.deleteMany({ $or: attemptKeys({ email }) });
+};
+
+module.exports = {
+	reserveLoginAttempt,
+	releaseLoginAttempt,
+	recordLoginFailure,
+	clearLoginFailures,
+};
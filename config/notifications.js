@@ -0,0 +1,55 @@
+const Notification = require("../Models/notification.model");
+const Subscription = require("../Models/subscription.model");
+
+const BATCH_SIZE = 500;
+
+// notification types that are repeated by toggling, e.g. liking & unliking
+// an unread one is reused instead of piling up copies
+const REPEATABLE = ["video_like", "comment_like", "subscriber"];
+
+// notify a channel, failures are logged but never thrown
+// so notifying can't break the request that caused it
+// channels aren't notified of their own actions
+const notify = (recipient, type, { actor, video, comment } = {}) => {
+	if (!recipient || String(recipient) === String(actor)) {
+		return Promise.resolve(null);
+	}
+
+	const notification = { recipient, type, actor, video, comment };
+
+	const saved = REPEATABLE.includes(type)
+		? Notification.findOneAndUpdate(
+				{ ...notification, readAt: null },
+				{ $setOnInsert: notification },
+				{ upsert: true, new: true }
+		  )
+		: Notification.create(notification);
+
+	return saved.catch((err) => console.error(err));
+};
+
+// notify every subscriber of a channel, in batches so big channels don't hold everything in memory
+const notifySubscribers = async (channel, type, { video, comment } = {}) => {
+	try {
+		const cursor = Subscription.find({ channel }).select("subscriber").lean().cursor();
+		let batch = [];
+
+		for await (const { subscriber } of cursor) {
+			batch.push({ recipient: subscriber, type, actor: channel, video, comment });
+
+			if (batch.length >= BATCH_SIZE) {
+				await Notification.insertMany(batch, { ordered: false });
+				batch = [];
+			}
+		}
+
+		if (batch.length > 0) await Notification.insertMany(batch, { ordered: false });
+	} catch (err) {
+		console.error(err);
+	}
+};
+
+module.exports = {
+	notify,
+	notifySubscribers,
+};
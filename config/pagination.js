@@ -0,0 +1,140 @@
+// opaque cursor pagination shared by list endpoints
+// a cursor holds the sort values of the first or last item of a page
+// so the next page starts right after it, no matter what was added before it
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// errors with this name should be returned as 400 Bad Request
+const cursorError = (message) => {
+	const err = new Error(message);
+	err.name = "CursorError";
+
+	return err;
+};
+
+// read a limit from the query string, clamped between 1 and MAX_LIMIT
+const parseLimit = (limit, defaultLimit = DEFAULT_LIMIT) => {
+	const number = parseInt(limit);
+
+	if (isNaN(number)) return defaultLimit;
+
+	return Math.min(MAX_LIMIT, Math.max(1, number));
+};
+
+const valueAt = (item, path) => {
+	if (typeof item.get === "function") return item.get(path);
+
+	return path.split(".").reduce((value, key) => value?.[key], item);
+};
+
+// describes a sort so a cursor can't be used with a different one
+const sortSignature = (sort) =>
+	Object.entries(sort)
+		.map(([key, direction]) => `${key}:${direction}`)
+		.join(",");
+
+const encodeCursor = (sort, item, direction) => {
+	const payload = {
+		s: sortSignature(sort),
+		d: direction,
+		v: Object.keys(sort).map((key) => valueAt(item, key)),
+	};
+
+	return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor, sort) => {
+	let payload;
+
+	try {
+		payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+	} catch (err) {
+		throw cursorError("Invalid cursor");
+	}
+
+	if (
+		!payload ||
+		!Array.isArray(payload.v) ||
+		!["next", "prev"].includes(payload.d) ||
+		payload.v.length !== Object.keys(sort).length
+	) {
+		throw cursorError("Invalid cursor");
+	}
+
+	if (payload.s !== sortSignature(sort)) {
+		throw cursorError("Cursor doesn't match the requested sort");
+	}
+
+	return { values: payload.v, direction: payload.d };
+};
+
+// condition matching items after the cursor values in the sort order
+// e.g. for { views: -1, _id: -1 }:
+// views < v0 OR (views = v0 AND _id < v1)
+const keysetCondition = (sort, values, backwards) => {
+	const keys = Object.keys(sort);
+
+	return {
+		$or: keys.map((key, i) => {
+			const ascending = sort[key] === 1 ? !backwards : backwards;
+			const condition = {};
+
+			keys.slice(0, i).forEach((previous, j) => {
+				condition[previous] = values[j];
+			});
+
+			condition[key] = { [ascending ? "$gt" : "$lt"]: values[i] };
+
+			return condition;
+		}),
+	};
+};
+
+const invertSort = (sort) =>
+	Object.fromEntries(
+		Object.entries(sort).map(([key, direction]) => [key, -direction])
+	);
+
+// lists that had page numbers before cursors keep them by default
+// cursor pagination is used once a cursor is sent, or asked for with paginate=cursor
+const wantsCursor = (query) =>
+	query.cursor !== undefined || query.paginate === "cursor";
+
+// fetch one page of a mongoose query using a cursor
+// sort has to end with _id so every item has a unique position
+// resolves with { items, next, prev } where next & prev are cursors or null
+const paginateByCursor = async (query, { sort, limit, cursor }) => {
+	if (Object.keys(sort).pop() !== "_id") {
+		throw new Error("Cursor pagination needs a sort ending with _id");
+	}
+
+	const decoded = cursor ? decodeCursor(cursor, sort) : null;
+	const backwards = decoded?.direction === "prev";
+
+	if (decoded) query.and([keysetCondition(sort, decoded.values, backwards)]);
+
+	// fetch one extra item to know if there is another page
+	const items = await query.sort(backwards ? invertSort(sort) : sort).limit(limit + 1);
+	const hasMore = items.length > limit;
+	const page = items.slice(0, limit);
+
+	if (backwards) page.reverse();
+
+	const first = page[0];
+	const last = page[page.length - 1];
+
+	return {
+		items: page,
+		next: last && (backwards || hasMore) ? encodeCursor(sort, last, "next") : null,
+		prev: first && (backwards ? hasMore : !!decoded) ? encodeCursor(sort, first, "prev") : null,
+	};
+};
+
+module.exports = {
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+	parseLimit,
+	wantsCursor,
+	paginateByCursor,
+};
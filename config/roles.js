@@ -0,0 +1,28 @@
+// roles a channel can have
+const ROLES = ["user", "moderator", "admin"];
+
+// permissions granted by each role
+const PERMISSIONS = {
+	user: [],
+	moderator: ["videos:delete:any", "comments:delete:any", "playlists:delete:any"],
+	admin: [
+		"videos:update:any",
+		"videos:delete:any",
+		"comments:update:any",
+		"comments:delete:any",
+		"playlists:update:any",
+		"playlists:delete:any",
+		"channels:manage",
+	],
+};
+
+// check if any of the given roles grants a permission
+const hasPermission = (roles = [], permission) => {
+	return roles.some((role) => PERMISSIONS[role]?.includes(permission));
+};
+
+module.exports = {
+	ROLES,
+	PERMISSIONS,
+	hasPermission,
+};
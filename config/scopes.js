@@ -0,0 +1,15 @@
+// scopes an API key can be granted
+// routes declare the scope they need with auth(level, scope)
+const SCOPES = [
+	"channels:read",
+	"channels:write",
+	"videos:read",
+	"videos:write",
+	"comments:write",
+	"playlists:read",
+	"playlists:write",
+];
+
+module.exports = {
+	SCOPES,
+};
@@ -0,0 +1,94 @@
+// longest search query accepted
+const MAX_QUERY_LENGTH = 100;
+
+// escape a string to use it literally in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// escape a string to insert it into HTML as text
+const escapeHtml = (text) =>
+	text.replace(
+		/[&<>"']/g,
+		(char) =>
+			({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;",
+			}[char])
+	);
+
+// split a search query into unique lowercase words
+const searchTerms = (query) => {
+	return [
+		...new Set(
+			String(query)
+				.toLowerCase()
+				.split(/[^\p{L}\p{N}]+/u)
+				.filter(Boolean)
+		),
+	];
+};
+
+// wrap words starting with a search term in <mark> tags
+// long text is cut down to a snippet around the first match
+// the rest of the text is HTML escaped, so the snippet is safe to render as HTML
+// returns null if nothing matched
+const highlight = (text, terms, snippetLength = 160) => {
+	if (!text || terms.length === 0) return null;
+
+	const pattern = new RegExp(
+		`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegex).join("|")})[\\p{L}\\p{N}]*`,
+		"giu"
+	);
+	const first = text.search(pattern);
+
+	if (first === -1) return null;
+
+	let snippet = text;
+
+	if (text.length > snippetLength) {
+		const start = Math.max(0, first - Math.floor(snippetLength / 4));
+		const end = Math.min(text.length, start + snippetLength);
+
+		snippet =
+			(start > 0 ? "…" : "") +
+			text.slice(start, end) +
+			(end < text.length ? "…" : "");
+	}
+
+	let marked = "";
+	let last = 0;
+
+	for (const match of snippet.matchAll(pattern)) {
+		marked +=
+			escapeHtml(snippet.slice(last, match.index)) +
+			`<mark>${escapeHtml(match[0])}</mark>`;
+		last = match.index + match[0].length;
+	}
+
+	return marked + escapeHtml(snippet.slice(last));
+};
+
+// anchored, case sensitive patterns for the common casings of a prefix
+// unlike a case insensitive RegExp, each of these can use the bounds of an index
+const prefixPatterns = (prefix) => {
+	const lower = prefix.toLowerCase();
+	const casings = new Set([
+		prefix,
+		lower,
+		prefix.toUpperCase(),
+		lower.charAt(0).toUpperCase() + lower.slice(1),
+	]);
+
+	return [...casings].map((casing) => new RegExp(`^${escapeRegex(casing)}`));
+};
+
+module.exports = {
+	MAX_QUERY_LENGTH,
+	escapeRegex,
+	escapeHtml,
+	searchTerms,
+	highlight,
+	prefixPatterns,
+};
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const Channel = require("../Models/channel.model");
+const Subscription = require("../Models/subscription.model");
+
+// move a channel's subscribers by one, resolves with the new count
+// only called in the same transaction that created or deleted the subscription,
+// so the count can't drift if one of the writes fails
+const incrementSubscribers = async (channel, by, session) => {
+	const updated = await Channel.findByIdAndUpdate(
+		channel,
+		{ $inc: { subscribers: by } },
+		{ new: true, session }
+	).select("subscribers");
+
+	return updated ? updated.subscribers : 0;
+};
+
+// run fn(session) in a transaction, retried by the driver on transient errors
+const inTransaction = async (fn) => {
+	const session = await mongoose.startSession();
+
+	try {
+		let result;
+		await session.withTransaction(async () => {
+			result = await fn(session);
+		});
+
+		return result;
+	} finally {
+		await session.endSession();
+	}
+};
+
+// subscribe to a channel, or unsubscribe if already subscribed
+// resolves with { subscribed, subscribers } after the change
+const toggleSubscription = async (subscriber, channel) => {
+	const { hideSubscriptions } =
+		(await Channel.findById(subscriber).select("hideSubscriptions")) || {};
+
+	return inTransaction(async (session) => {
+		const { deletedCount } = await Subscription.deleteOne(
+			{ subscriber, channel },
+			{ session }
+		);
+
+		if (deletedCount === 1) {
+			return {
+				subscribed: false,
+				subscribers: await incrementSubscribers(channel, -1, session),
+			};
+		}
+
+		await Subscription.create(
+			[{ subscriber, channel, hidden: !!hideSubscriptions }],
+			{ session }
+		);
+
+		return {
+			subscribed: true,
+			subscribers: await incrementSubscribers(channel, 1, session),
+		};
+	});
+};
+
+// check if a channel is subscribed to another
+const isSubscribed = async (subscriber, channel) => {
+	// an undefined field would be dropped from the filter & match anything
+	if (!subscriber || !channel) return false;
+
+	return !!(await Subscription.exists({ subscriber, channel }));
+};
+
+// ids of the channels a channel is subscribed to
+const subscribedChannelIds = (subscriber) =>
+	Subscription.find({ subscriber }).distinct("channel");
+
+// remove every subscription to & from a deleted channel
+// and fix the counts of the channels it was subscribed to
+const removeChannelSubscriptions = async (channel) => {
+	const subscribedTo = await subscribedChannelIds(channel);
+
+	// one transaction each, so a count only drops with the subscription it counted
+	for (const id of subscribedTo) {
+		await inTransaction(async (session) => {
+			const { deletedCount } = await Subscription.deleteOne(
+				{ subscriber: channel, channel: id },
+				{ session }
+			);
+
+			if (deletedCount === 1) await incrementSubscribers(id, -1, session);
+		});
+	}
+
+	await Subscription.deleteMany({ $or: [{ subscriber: channel }, { channel }] });
+};
+
+module.exports = {
+	incrementSubscribers,
+	toggleSubscription,
+	isSubscribed,
+	subscribedChannelIds,
+	removeChannelSubscriptions,
+};
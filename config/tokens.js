@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Channel = require("../Models/channel.model");
+const RefreshToken = require("../Models/refreshToken.model");
+const RevokedToken = require("../Models/revokedToken.model");
+const ChannelToken = require("../Models/channelToken.model");
+const Session = require("../Models/session.model");
+require("dotenv").config();
+
+// access tokens are short-lived, refresh tokens are used to get new ones
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REFRESH_TOKEN_TTL = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+// only record session & API key usage once a minute to avoid a write per request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// only store hashes of tokens so a leaked database can't be replayed
+const hashToken = (token) =>
+	crypto.createHash("sha256").update(token).digest("hex");
+
+// sign an access token for a channel's session
+const signAccessToken = (channel, session) => {
+	return jwt.sign(
+		{
+			email: channel.email,
+			username: channel.username,
+			_id: channel._id,
+			sid: session._id,
+		},
+		process.env.JWT_SECRET,
+		{
+			expiresIn: ACCESS_TOKEN_EXPIRY,
+			jwtid: crypto.randomUUID(),
+		}
+	);
+};
+
+// sign a short-lived token proving the password was correct
+// it has to be exchanged with a 2FA code for the real tokens
+const signChallengeToken = (channel) => {
+	return jwt.sign(
+		{
+			_id: channel._id,
+			purpose: "2fa",
+		},
+		process.env.JWT_SECRET,
+		{
+			expiresIn: "5m",
+			jwtid: crypto.randomUUID(),
+		}
+	);
+};
+
+// verify a challenge token, resolves with the decoded token
+// or undefined if it's invalid, expired or already used
+const verifyChallengeToken = (token) => {
+	return new Promise((resolve) => {
+		jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+			if (err || decoded.purpose !== "2fa") return resolve(undefined);
+
+			return resolve(decoded);
+		});
+	}).then(async (decoded) => {
+		if (!decoded || (await isAccessTokenRevoked(decoded))) return undefined;
+
+		return decoded;
+	});
+};
+
+// create and store a refresh token for a session, returns the plain token
+const createRefreshToken = async (channel, session) => {
+	const token = crypto.randomBytes(48).toString("hex");
+
+	await RefreshToken.create({
+		channel: channel._id,
+		token: hashToken(token),
+		family: String(session._id),
+		expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+	});
+
+	return token;
+};
+
+// issue an access & refresh token pair for a session
+const issueTokens = async (channel, session) => {
+	return {
+		token: signAccessToken(channel, session),
+		refreshToken: await createRefreshToken(channel, session),
+	};
+};
+
+// device details of a request, stored on its session
+const clientInfo = (req) => ({
+	userAgent: req.get("user-agent"),
+	ip: req.ip,
+});
+
+// start a session for a channel that just logged in
+// client is { userAgent, ip } of the device logging in
+const startSession = async (channel, client = {}) => {
+	const session = await Session.create({
+		channel: channel._id,
+		userAgent: client.userAgent,
+		ip: client.ip,
+		expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+	});
+
+	return {
+		session,
+		...(await issueTokens(channel, session)),
+	};
+};
+
+// exchange a refresh token for a new token pair
+// the used refresh token is revoked so each one only works once
+const rotateRefreshToken = async (token, client = {}) => {
+	const now = new Date();
+	const hash = hashToken(token);
+
+	// claim the token atomically so it can't be used twice concurrently
+	const stored = await RefreshToken.findOneAndUpdate(
+		{ token: hash, revokedAt: null, expiresAt: { $gt: now } },
+		{ revokedAt: now }
+	);
+
+	if (!stored) {
+		// a revoked token being reused means it was most likely stolen
+		// so revoke the whole session it belongs to
+		const reused = await RefreshToken.findOne({ token: hash });
+
+		if (reused) await revokeSession(reused.channel, reused.family);
+
+		return null;
+	}
+
+	// keep the session alive as long as its refresh token
+	const session = await Session.findOneAndUpdate(
+		{ _id: stored.family, revokedAt: null },
+		{
+			lastUsedAt: now,
+			ip: client.ip,
+			expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL),
+		},
+		{ new: true }
+	);
+
+	if (!session) return null;
+
+	const channel = await Channel.findById(stored.channel);
+
+	if (!channel) return null;
+
+	return {
+		channel,
+		...(await issueTokens(channel, session)),
+	};
+};
+
+// revoke a single refresh token belonging to a channel
+const revokeRefreshToken = (channelId, token) => {
+	return RefreshToken.updateOne(
+		{ channel: channelId, token: hashToken(token), revokedAt: null },
+		{ revokedAt: new Date() }
+	);
+};
+
+// revoke a session of a channel along with its refresh tokens
+// access tokens of the session are rejected by the auth middleware
+// resolves with the revoked session or null if it wasn't found
+const revokeSession = async (channelId, sessionId) => {
+	const now = new Date();
+
+	const session = await Session.findOneAndUpdate(
+		{ _id: sessionId, channel: channelId, revokedAt: null },
+		{ revokedAt: now },
+		{ new: true }
+	);
+
+	await RefreshToken.updateMany(
+		{ channel: channelId, family: String(sessionId), revokedAt: null },
+		{ revokedAt: now }
+	);
+
+	return session;
+};
+
+// revoke every session & refresh token of a channel
+const revokeAllSessions = async (channelId) => {
+	const now = new Date();
+
+	await Session.updateMany({ channel: channelId, revokedAt: null }, { revokedAt: now });
+
+	await RefreshToken.updateMany(
+		{ channel: channelId, revokedAt: null },
+		{ revokedAt: now }
+	);
+};
+
+// record that a session was used
+// the filter skips the write if it was already recorded recently
+const touchSession = (sessionId, ip) => {
+	const now = new Date();
+
+	return Session.updateOne(
+		{
+			_id: sessionId,
+			lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_INTERVAL) },
+		},
+		{ lastUsedAt: now, ip }
+	);
+};
+
+// add a decoded access token to the revocation list until it expires
+const revokeAccessToken = (decoded) => {
+	return RevokedToken.updateOne(
+		{ jti: decoded.jti },
+		{ jti: decoded.jti, expiresAt: new Date(decoded.exp * 1000) },
+		{ upsert: true }
+	);
+};
+
+// check a decoded access token against the revocation list & its session
+// tokens without a jti were signed before tokens expired and are rejected
+const isAccessTokenRevoked = async (decoded) => {
+	if (!decoded.jti || !decoded.exp) return true;
+
+	const [revoked, activeSession] = await Promise.all([
+		RevokedToken.exists({ jti: decoded.jti }),
+		decoded.sid ? Session.exists({ _id: decoded.sid, revokedAt: null }) : true,
+	]);
+
+	return !!revoked || !activeSession;
+};
+
+// create a single-use token for a channel, e.g. a password reset
+// any unused token with the same purpose is invalidated
+const createChannelToken = async (channel, purpose, expiresInMinutes) => {
+	const token = crypto.randomBytes(32).toString("hex");
+
+	await ChannelToken.deleteMany({ channel: channel._id, purpose, usedAt: null });
+
+	await ChannelToken.create({
+		channel: channel._id,
+		purpose,
+		token: hashToken(token),
+		expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+	});
+
+	return token;
+};
+
+// use up a single-use token, resolves with the stored token
+// or null if it's invalid, expired or already used
+const consumeChannelToken = (token, purpose) => {
+	const now = new Date();
+
+	return ChannelToken.findOneAndUpdate(
+		{
+			token: hashToken(String(token)),
+			purpose,
+			usedAt: null,
+			expiresAt: { $gt: now },
+		},
+		{ usedAt: now },
+		{ new: true }
+	);
+};
+
+module.exports = {
+	LAST_USED_INTERVAL,
+	hashToken,
+	signAccessToken,
+	signChallengeToken,
+	verifyChallengeToken,
+	clientInfo,
+	startSession,
+	rotateRefreshToken,
+	revokeRefreshToken,
+	revokeSession,
+	revokeAllSessions,
+	touchSession,
+	revokeAccessToken,
+	isAccessTokenRevoked,
+	createChannelToken,
+	consumeChannelToken,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+
+// RFC 6238 defaults used by authenticator apps
+const DIGITS = 6;
+const PERIOD = 30;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+	let bits = "";
+	let output = "";
+
+	for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+	}
+
+	return output;
+};
+
+const base32Decode = (input) => {
+	let bits = "";
+
+	for (const char of input.replace(/=+$/, "").toUpperCase()) {
+		const index = BASE32.indexOf(char);
+
+		if (index === -1) throw new Error("Invalid base32 character");
+
+		bits += index.toString(2).padStart(5, "0");
+	}
+
+	const bytes = [];
+
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+
+	return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP code for a counter
+const hotp = (secret, counter) => {
+	const buffer = Buffer.alloc(8);
+	buffer.writeBigUInt64BE(BigInt(counter));
+
+	const hmac = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(buffer)
+		.digest();
+
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+	return String(code).padStart(DIGITS, "0");
+};
+
+// generate a random base32 secret
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// uri for authenticator apps, usually shown as a QR code
+const otpauthUri = (secret, account, issuer = "YouTube API") => {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+
+	return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+		issuer
+	)}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD}`;
+};
+
+// check a code against the current time step and one step either side
+// resolves with the matched time step, or null
+// steps up to lastUsedStep are rejected so a code can't be replayed
+const verifyTotp = (secret, code, lastUsedStep = -1, now = Date.now()) => {
+	if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+	const currentStep = Math.floor(now / 1000 / PERIOD);
+
+	for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+		if (step <= lastUsedStep) continue;
+
+		const expected = hotp(secret, step);
+
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+			return step;
+		}
+	}
+
+	return null;
+};
+
+// generate one-time recovery codes, e.g. 4f1a-9c2e
+const generateRecoveryCodes = (amount = 10) => {
+	return Array.from({ length: amount }, () => {
+		const code = crypto.randomBytes(4).toString("hex");
+
+		return `${code.slice(0, 4)}-${code.slice(4)}`;
+	});
+};
+
+module.exports = {
+	hotp,
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	otpauthUri,
+	verifyTotp,
+	generateRecoveryCodes,
+};
@@ -0,0 +1,117 @@
+const { isValidObjectId } = require("mongoose");
+
+// sort options for video lists, _id keeps the order stable between pages
+const SORTS = {
+	newest: { createdAt: -1, _id: -1 },
+	oldest: { createdAt: 1, _id: 1 },
+	most_viewed: { views: -1, _id: -1 },
+	most_liked: { likes: -1, _id: -1 },
+	longest: { duration: -1, _id: -1 },
+};
+
+// query parameters accepted to filter a video list
+const FILTER_PARAMS = [
+	"tag",
+	"channel",
+	"min_duration",
+	"max_duration",
+	"uploaded_after",
+	"uploaded_before",
+	"min_views",
+	"sort",
+];
+
+const parseCount = (value, name, errors) => {
+	const number = Number(value);
+
+	if (value === "" || !Number.isInteger(number) || number < 0) {
+		errors.push(`'${name}' must be a whole number of 0 or more`);
+		return undefined;
+	}
+
+	return number;
+};
+
+const parseDate = (value, name, errors) => {
+	const date = new Date(value);
+
+	if (value === "" || isNaN(date)) {
+		errors.push(`'${name}' must be a date`);
+		return undefined;
+	}
+
+	return date;
+};
+
+// turn the query string of a video list into a mongo filter & sort
+// allowed lists the other parameters the route accepts, e.g. page & limit
+// anything else is reported in errors rather than ignored
+const parseVideoQuery = (query, allowed = []) => {
+	const errors = [];
+	const filter = {};
+
+	for (const [name, value] of Object.entries(query)) {
+		if (![...FILTER_PARAMS, ...allowed].includes(name)) {
+			errors.push(`Unknown query parameter '${name}'`);
+		} else if (Array.isArray(value) || typeof value === "object") {
+			errors.push(`'${name}' can only be given once`);
+		}
+	}
+
+	if (errors.length > 0) return { errors };
+
+	if (query.tag) filter.tag = query.tag;
+
+	if (query.channel) {
+		if (isValidObjectId(query.channel)) filter.channel = query.channel;
+		else errors.push("'channel' must be a channel ObjectID");
+	}
+
+	// parse a parameter only if it was given
+	const optional = (name, parse) =>
+		query[name] !== undefined ? parse(query[name], name, errors) : undefined;
+
+	const minDuration = optional("min_duration", parseCount);
+	const maxDuration = optional("max_duration", parseCount);
+	const after = optional("uploaded_after", parseDate);
+	const before = optional("uploaded_before", parseDate);
+	const minViews = optional("min_views", parseCount);
+
+	if (minDuration !== undefined || maxDuration !== undefined) {
+		filter.duration = {};
+		if (minDuration !== undefined) filter.duration.$gte = minDuration;
+		if (maxDuration !== undefined) filter.duration.$lte = maxDuration;
+	}
+
+	if (after || before) {
+		filter.createdAt = {};
+		if (after) filter.createdAt.$gte = after;
+		if (before) filter.createdAt.$lte = before;
+	}
+
+	if (minViews !== undefined) filter.views = { $gte: minViews };
+
+	if (minDuration > maxDuration) {
+		errors.push("'min_duration' can't be more than 'max_duration'");
+	}
+
+	if (after > before) {
+		errors.push("'uploaded_after' can't be later than 'uploaded_before'");
+	}
+
+	if (query.sort !== undefined && !SORTS[query.sort]) {
+		errors.push(`'sort' must be one of ${Object.keys(SORTS).join(", ")}`);
+	}
+
+	return {
+		errors,
+		filter,
+		sort: SORTS[query.sort] || { _id: 1 },
+	};
+};
+
+module.exports = {
+	SORTS,
+	FILTER_PARAMS,
+	parseVideoQuery,
+};
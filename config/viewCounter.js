@@ -0,0 +1,134 @@
+// counts video views, once per viewer per window, without writing to the video on every view
+// counted views are $inc'ed into one of several PendingView shards of the video,
+// then summed & moved to the video in bulk at most every FLUSH_INTERVAL
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Video = require("../Models/video.model");
+const VideoView = require("../Models/videoView.model");
+const PendingView = require("../Models/pendingView.model");
+
+// a viewer is counted once per video in this window
+const VIEW_WINDOW = (Number(process.env.VIEW_WINDOW_HOURS) || 6) * 60 * 60 * 1000;
+// more views than this from one IP within a minute is treated as a bot
+const BURST_LIMIT = 30;
+const BURST_WINDOW = 60 * 1000;
+// user agents of crawlers & scripts, their views are never counted
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|curl|wget|python|headless/i;
+// pending views are added to the videos at most this often
+const FLUSH_INTERVAL = (Number(process.env.VIEW_FLUSH_SECONDS) || 10) * 1000;
+// most pending counters moved in one flush
+const FLUSH_BATCH = 500;
+// pending counters per video, views go to one at random
+const VIEW_SHARDS = 16;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+let lastFlush = 0;
+
+// move pending views to the videos
+// the shards of a video are summed into one $inc of the video, then each shard is
+// taken down by what it added, so video views + pending views stays the true count even when flushes overlap
+const flushViews = async () => {
+	lastFlush = Date.now();
+
+	const batch = await PendingView.find({ views: { $gt: 0 } })
+		.limit(FLUSH_BATCH)
+		.lean();
+
+	if (batch.length === 0) return;
+
+	const perVideo = new Map();
+
+	for (const { video, views } of batch) {
+		perVideo.set(String(video), (perVideo.get(String(video)) || 0) + views);
+	}
+
+	await Video.bulkWrite(
+		[...perVideo].map(([video, views]) => ({
+			updateOne: {
+				filter: { _id: video },
+				update: { $inc: { views } },
+			},
+		})),
+		{ ordered: false }
+	);
+
+	await PendingView.bulkWrite(
+		batch.map(({ _id, views }) => ({
+			updateOne: {
+				filter: { _id },
+				update: { $inc: { views: -views } },
+			},
+		})),
+		{ ordered: false }
+	);
+};
+
+// views of a video counted but not yet added to it
+const pendingViews = async (video) => {
+	const [pending] = await PendingView.aggregate([
+		{ $match: { video: new mongoose.Types.ObjectId(String(video)) } },
+		{ $group: { _id: null, views: { $sum: "$views" } } },
+	]);
+
+	// can be negative for a moment while flushes overlap, which corrects the video's views
+	return pending ? pending.views : 0;
+};
+
+// count a view of a video, client is { userAgent, ip } from clientInfo
+// resolves with { counted, reason } where reason is why a view wasn't counted
+// "burst" views should be rejected with 429 Too Many Requests
+const recordView = async (video, client, channel) => {
+	if (!client.userAgent || BOT_USER_AGENT.test(client.userAgent)) {
+		return { counted: false, reason: "bot" };
+	}
+
+	const now = Date.now();
+	const ip = hash(String(client.ip));
+
+	const recent = await VideoView.countDocuments({
+		ip,
+		createdAt: { $gte: new Date(now - BURST_WINDOW) },
+	});
+
+	if (recent >= BURST_LIMIT) return { counted: false, reason: "burst" };
+
+	try {
+		await VideoView.create({
+			video,
+			viewer: channel
+				? `channel:${channel._id}`
+				: `guest:${hash(`${client.ip} ${client.userAgent}`)}`,
+			ip,
+			expiresAt: new Date(now + VIEW_WINDOW),
+		});
+	} catch (err) {
+		// already counted in this window
+		if (err.code === 11000) return { counted: false, reason: "duplicate" };
+
+		throw err;
+	}
+
+	// separate counters keep frequent writes off the video document
+	// and a random shard spreads the writes of a popular video
+	await PendingView.updateOne(
+		{ video, shard: crypto.randomInt(VIEW_SHARDS) },
+		{ $inc: { views: 1 } },
+		{ upsert: true }
+	);
+
+	// flush while handling views rather than on a timer,
+	// a serverless instance may be frozen before a timer fires or a background write ends
+	if (Date.now() - lastFlush >= FLUSH_INTERVAL) {
+		await flushViews().catch((err) => console.error(err));
+	}
+
+	return { counted: true };
+};
+
+module.exports = {
+	BURST_WINDOW,
+	recordView,
+	pendingViews,
+	flushViews,
+};
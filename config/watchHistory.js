@@ -0,0 +1,21 @@
+const Channel = require("../Models/channel.model");
+const WatchHistory = require("../Models/watchHistory.model");
+
+// add a video to a channel's watch history, or move it to the top if it's there
+// does nothing while the channel has paused its history
+// resolves with the entry, or null if history is paused
+const addToHistory = async (channel, video) => {
+	const paused = await Channel.exists({ _id: channel, historyPaused: true });
+
+	if (paused) return null;
+
+	return WatchHistory.findOneAndUpdate(
+		{ channel, video },
+		{ $set: { watchedAt: new Date() } },
+		{ upsert: true, new: true }
+	);
+};
+
+module.exports = {
+	addToHistory,
+};
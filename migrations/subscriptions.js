@@ -0,0 +1,145 @@
+// moves subscriptions from the Channel.subscribed array to the Subscription collection
+// then recounts every channel's subscribers, marks private subscriptions hidden and removes the old array
+// safe to run more than once: npm run migrate:subscriptions
+const mongoose = require("mongoose");
+const Channel = require("../Models/channel.model");
+const Subscription = require("../Models/subscription.model");
+require("../config/db")();
+
+const BATCH_SIZE = 500;
+
+const copySubscriptions = async () => {
+	// subscribed isn't in the schema anymore, read it from the collection directly
+	const cursor = Channel.collection.find(
+		{ "subscribed.0": { $exists: true } },
+		{ projection: { subscribed: 1 } }
+	);
+
+	let copied = 0;
+	let batch = [];
+
+	const flush = async () => {
+		if (batch.length === 0) return;
+
+		// skip subscriptions to channels that were deleted
+		const existing = new Set(
+			(
+				await Channel.find({
+					_id: { $in: batch.map(({ channel }) => channel) },
+				}).distinct("_id")
+			).map(String)
+		);
+
+		const operations = batch
+			.filter(({ channel }) => existing.has(String(channel)))
+			.map(({ subscriber, channel }) => ({
+				updateOne: {
+					filter: { subscriber, channel },
+					update: { $setOnInsert: { subscriber, channel } },
+					upsert: true,
+				},
+			}));
+
+		if (operations.length > 0) {
+			const result = await Subscription.bulkWrite(operations, { ordered: false });
+			copied += result.upsertedCount;
+		}
+
+		batch = [];
+	};
+
+	for await (const channel of cursor) {
+		for (const subscribed of new Set(channel.subscribed.map(String))) {
+			// self subscriptions aren't allowed anymore
+			if (subscribed === String(channel._id)) continue;
+
+			batch.push({
+				subscriber: channel._id,
+				channel: new mongoose.Types.ObjectId(subscribed),
+			});
+
+			if (batch.length >= BATCH_SIZE) await flush();
+		}
+	}
+
+	await flush();
+
+	return copied;
+};
+
+// set every channel's subscribers to its number of subscriptions
+const recountSubscribers = async () => {
+	const counts = await Subscription.aggregate([
+		{ $group: { _id: "$channel", subscribers: { $sum: 1 } } },
+	]);
+
+	await Channel.updateMany(
+		{ _id: { $nin: counts.map(({ _id }) => _id) } },
+		{ subscribers: 0 }
+	);
+
+	for (let i = 0; i < counts.length; i += BATCH_SIZE) {
+		await Channel.bulkWrite(
+			counts.slice(i, i + BATCH_SIZE).map(({ _id, subscribers }) => ({
+				updateOne: {
+					filter: { _id },
+					update: { $set: { subscribers } },
+				},
+			}))
+		);
+	}
+
+	return counts.length;
+};
+
+const removeSubscribedArray = async () => {
+	await Channel.collection.updateMany(
+		{ subscribed: { $exists: true } },
+		{ $unset: { subscribed: "" } }
+	);
+
+	// the old array had a unique index that isn't needed anymore
+	const indexes = await Channel.collection.indexes();
+
+	if (indexes.some(({ name }) => name === "subscribed_1")) {
+		await Channel.collection.dropIndex("subscribed_1");
+	}
+};
+
+// hide the subscriptions of channels that keep them private from subscriber lists
+const hideSubscriptions = async () => {
+	const hidden = await Channel.find({ hideSubscriptions: true }).distinct("_id");
+
+	const { modifiedCount } = await Subscription.updateMany(
+		{ subscriber: { $in: hidden }, hidden: { $ne: true } },
+		{ hidden: true }
+	);
+
+	return modifiedCount;
+};
+
+const migrate = async () => {
+	await mongoose.connection.asPromise();
+	mongoose.set("debug", false);
+
+	await Subscription.init();
+
+	const copied = await copySubscriptions();
+	console.log(`Copied ${copied} subscriptions`);
+
+	const counted = await recountSubscribers();
+	console.log(`Recounted subscribers of ${counted} channels`);
+
+	const hidden = await hideSubscriptions();
+	console.log(`Hid ${hidden} private subscriptions`);
+
+	await removeSubscribedArray();
+	console.log("Removed Channel.subscribed");
+};
+
+migrate()
+	.then(() => mongoose.disconnect())
+	.catch((err) => {
+		console.error(err);
+		process.exit(1);
+	});
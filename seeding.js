@@ -7,6 +7,7 @@ const bcrypt = require('bcryptjs');
 const Video = require("./Models/video.model");
 const Channel = require("./Models/channel.model");
 const Comment = require("./Models/comment.model");
+const Subscription = require("./Models/subscription.model");
 
 // create channels with random credentials & info
 async function ChannelFactory(amount = 500) {
@@ -28,10 +29,6 @@ async function ChannelFactory(amount = 500) {
 			}),
 			// encrypt password
 			password: bcrypt.hashSync('secret0123', 10),
-			subscribers: faker.number.int({
-				min: 0,
-				max: 100000,
-			}),
 			createdAt: faker.date.past({ year: 10 }),
 		};
 
@@ -70,10 +67,6 @@ async function loadData(from = 0, to = data.length) {
 				lastName: this.last_name,
 			}),
 			password: faker.internet.password(),
-			subscribers: faker.number.int({
-				min: 0,
-				max: 1000000,
-			}),
 			createdAt: faker.date.past({ year: 10 }),
 		};
 
@@ -213,6 +206,34 @@ async function loadData(from = 0, to = data.length) {
             await channel.save();
 		}
 
+		// subscribe existing channels to the uploader, once it's been saved
+		if (amountOfVideos > 0) {
+			const amountOfSubscribers = faker.number.int({
+				min: 0,
+				max: 250,
+			});
+
+			const sampled = await Channel.aggregate([
+				{ $match: { _id: { $ne: channel._id } } },
+				{ $sample: { size: amountOfSubscribers } },
+			]);
+			// $sample can pick a channel twice
+			const subscribers = [...new Set(sampled.map(({ _id }) => String(_id)))];
+
+			await Subscription.insertMany(
+				subscribers.map((subscriber) => ({
+					subscriber,
+					channel: channel._id,
+				}))
+			);
+
+			// the count is derived from the subscriptions
+			await Channel.updateOne(
+				{ _id: channel._id },
+				{ subscribers: subscribers.length }
+			);
+		}
+
 		// keep count of videos iterated
 		videoIterate += amountOfVideos;
 
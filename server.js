@@ -5,12 +5,14 @@ const pathToSwaggerUI = require('swagger-ui-dist').absolutePath();
 const cors = require("cors");
 require("dotenv").config();
 require("./config/db")();
-const jwt = require("jsonwebtoken");
 
 // create an Express instance
 const app = express();
 const port = 3000;
 
+// use the client IP forwarded by the hosting proxy for req.ip
+app.set("trust proxy", 1);
+
 app.use(cors());
 app.use(express.json());
 
@@ -37,70 +39,30 @@ app.get("/", swaggerUi.setup(swaggerSpec, {
 
 app.use("/public", express.static(__dirname + "/public/"));
 
-// login middleware
-app.use((req, res, next) => {
-	// array of paths to check
-	const securePaths = ["update", "create", "delete", "like", "dislike", "subscribe"];
-
-	// iterate current path by splitting it into array
-	let hasPath = false;
-	for (const path of req.path.split("/")) {
-		for (const checkPath of securePaths) {
-			// if current path match secure paths
-			if (checkPath === path) hasPath = true;
-		}
-	}
-
-	// if current path does not match secure paths found bypass Auth middleware
-	if (!hasPath) return next();
-
-	let token = null;
-	// check Authorization header
-	// if exists put header into array
-	if (req.headers.authorization) {
-		token = req.headers.authorization.split(" ");
-	}
-
-	// if token exists with the right JWT convention
-	if (token && token[0] === "Bearer") {
-		// verify token is valid
-		jwt.verify(token[1], process.env.JWT_SECRET, (err, decoded) => {
-			// if auth doesn't match
-			if (err) {
-				console.log(err);
-				req.channel = undefined;
-			}
-
-			// put channel into the request and pass to the actual route
-			req.channel = decoded;
-
-			return next();
-		});
-
-		// if token doesn't exists, return no token message.
-	} else {
-		console.log("No token");
-
-		req.channel = undefined;
-
-		return res.status(401).json({
-			message: "No token",
-		});
-	}
-});
-
 // allow ACAO from all IP addresses
 app.use((req, res, next) => {
 	res.setHeader("Access-Control-Allow-Origin", "*");
 	next();
 });
 
+// authentication is declared per route in Routes/, see config/auth.js
+// API Keys & Sessions Routes, mounted before channels so they aren't matched as a channel id
+app.use("/api/channels/api-keys", require("./Routes/apiKey.routes"));
+app.use("/api/channels/sessions", require("./Routes/session.routes"));
 // Channels Route
 app.use("/api/channels", require("./Routes/channel.routes"));
 // Videos Route
 app.use("/api/videos", require("./Routes/video.routes"));
 //  Comments Route
 app.use("/api/comments", require("./Routes/comment.routes"));
+// Playlists Route
+app.use("/api/playlists", require("./Routes/playlist.routes"));
+// Search Route
+app.use("/api/search", require("./Routes/search.routes"));
+// Notifications Route
+app.use("/api/notifications", require("./Routes/notification.routes"));
+// Admin Route
+app.use("/api/admin", require("./Routes/admin.routes"));
 
 // serve API
 app.listen(port, (req, res) => {